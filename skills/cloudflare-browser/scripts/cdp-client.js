@@ -1,150 +1,703 @@
 #!/usr/bin/env node
 /**
  * Cloudflare Browser Rendering - CDP Client Library
- * 
+ *
  * Reusable CDP WebSocket client for Cloudflare Browser Rendering.
  * Import and use in custom scripts.
- * 
+ *
  * Usage:
  *   const { createClient } = require('./cdp-client');
  *   const client = await createClient();
- *   await client.navigate('https://example.com');
- *   const screenshot = await client.screenshot();
+ *   await client.navigate('https://example.com', { waitUntil: 'networkidle' });
+ *   const screenshot = await client.screenshot({ fullPage: true, format: 'jpeg', quality: 80 });
  *   client.close();
+ *
+ * Events:
+ *   client.on('Page.loadEventFired', (params) => { ... });   — returns an unsubscribe function
+ *   client.once('Target.targetDestroyed', (params) => { ... });
+ *   await client.waitForEvent('Page.frameNavigated', (p) => p.frame.url.includes('/done'), 10000);
+ *   client.on('close', (err) => { ... });                      — socket closed (err set if abnormal)
+ *
+ * Waiting:
+ *   await client.navigate(url, { waitUntil: 'load' | 'domcontentloaded' | 'networkidle', timeout });
+ *   await client.waitForSelector('#results', { visible: true, timeout: 10000 });
+ *   const title = await client.waitForFunction('document.title || null');
+ *
+ * Interaction (arguments are serialized, never spliced into code):
+ *   await client.click('button[type="submit"]');                — real mouse click at the element's center
+ *   await client.type('#search', "it's here", { clear: true });  — focus + keyboard input
+ *   await client.press('Enter');
+ *   const n = await client.evaluate((sel) => document.querySelectorAll(sel).length, 'a');
+ *
+ * PDF:
+ *   await client.setContent('<h1>Invoice</h1>');               — render local HTML instead of a URL
+ *   const pdf = await client.pdf({ format: 'a4', margin: '1cm', landscape: true });
+ *
+ * Extraction (see extractors.js for the schema format):
+ *   const data = await client.extract({ title: 'h1', items: [{ selector: '.item', fields: { url: 'a@href' } }] });
+ *   await client.links(); await client.tables(); await client.meta();
+ *   const { title, content } = await client.article({ format: 'markdown' });
  */
 
 const WebSocket = require('ws');
+const extractors = require('./extractors');
+
+const TARGET_TIMEOUT = 10000;
+const POLL_INTERVAL = 100;
+
+// waitUntil option -> Page.lifecycleEvent name emitted by the worker
+const LIFECYCLE_EVENTS = {
+  load: 'load',
+  domcontentloaded: 'DOMContentLoaded',
+  networkidle: 'networkIdle',
+};
+
+// Key definitions for press(); other single characters are sent as-is
+const KEYS = {
+  Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+  Tab: { code: 'Tab', keyCode: 9 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  Space: { key: ' ', code: 'Space', keyCode: 32, text: ' ' },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 },
+};
+
+// Device presets for emulate() and screenshot({ device })
+const DEVICES = {
+  'iphone-15': {
+    width: 393, height: 852, scale: 3, mobile: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+  },
+  'iphone-se': {
+    width: 375, height: 667, scale: 2, mobile: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+  },
+  'pixel-8': {
+    width: 412, height: 915, scale: 2.625, mobile: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  },
+  'ipad': {
+    width: 820, height: 1180, scale: 2, mobile: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+  },
+};
+
+const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+
+// Paper sizes for pdf(), in inches (portrait)
+const PAPER_SIZES = {
+  letter: { width: 8.5, height: 11 },
+  legal: { width: 8.5, height: 14 },
+  tabloid: { width: 11, height: 17 },
+  ledger: { width: 17, height: 11 },
+  a3: { width: 11.69, height: 16.54 },
+  a4: { width: 8.27, height: 11.69 },
+  a5: { width: 5.83, height: 8.27 },
+  a6: { width: 4.13, height: 5.83 },
+};
+
+const UNITS_PER_INCH = { in: 1, cm: 2.54, mm: 25.4, px: 96 };
+
+// '1cm', '0.5in', '40px' or a bare number of inches -> inches
+function toInches(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^(\d*\.?\d+)\s*(in|cm|mm|px)?$/);
+  if (!match) {
+    throw new Error(`Invalid length: ${value} (use a number with in, cm, mm or px)`);
+  }
+  return parseFloat(match[1]) / UNITS_PER_INCH[match[2] || 'in'];
+}
+
+// setContent waitUntil -> the worker's Puppeteer waitUntil
+const SET_CONTENT_WAIT = {
+  load: 'load',
+  domcontentloaded: 'domcontentloaded',
+  networkidle: 'networkidle0',
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 function createClient(options = {}) {
   const CDP_SECRET = options.secret || process.env.CDP_SECRET;
   if (!CDP_SECRET) {
     throw new Error('CDP_SECRET environment variable not set');
   }
-  
-  const workerUrl = (options.workerUrl || process.env.WORKER_URL).replace(/^https?:\/\//, '');
+  const WORKER_URL = options.workerUrl || process.env.WORKER_URL;
+  if (!WORKER_URL) {
+    throw new Error('WORKER_URL environment variable not set');
+  }
+
+  const workerUrl = WORKER_URL.replace(/^https?:\/\//, '');
   const wsUrl = `wss://${workerUrl}/cdp?secret=${encodeURIComponent(CDP_SECRET)}`;
   const timeout = options.timeout || 60000;
-  
+
   return new Promise((resolve, reject) => {
     const ws = new WebSocket(wsUrl);
     let messageId = 1;
     const pending = new Map();
+    const listeners = new Map();
+    let closedError = null;
     let targetId = null;
-    let targetResolve;
-    const targetReady = new Promise(r => { targetResolve = r; });
-    
+
+    // ── Events ───────────────────────────────────────────────────────────────
+
+    function on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => off(event, handler);
+    }
+
+    function off(event, handler) {
+      const set = listeners.get(event);
+      if (!set) return;
+      set.delete(handler);
+      if (set.size === 0) listeners.delete(event);
+    }
+
+    function once(event, handler) {
+      const unsubscribe = on(event, (...args) => {
+        unsubscribe();
+        handler(...args);
+      });
+      return unsubscribe;
+    }
+
+    function emit(event, ...args) {
+      const set = listeners.get(event);
+      if (!set) return;
+      for (const handler of [...set]) {
+        try {
+          handler(...args);
+        } catch (err) {
+          console.error(`Error in ${event} handler:`, err.message);
+        }
+      }
+    }
+
+    // Like waitForEvent, but cancel() stops waiting without settling the promise
+    function subscribeEvent(method, predicate = () => true, waitTimeout = timeout) {
+      let cancel = () => {};
+      const promise = new Promise((res, rej) => {
+        if (closedError) {
+          rej(closedError);
+          return;
+        }
+        const cleanup = () => {
+          clearTimeout(timer);
+          unsubscribe();
+          unsubscribeClose();
+        };
+        const timer = setTimeout(() => {
+          cleanup();
+          rej(new Error(`Timeout waiting for ${method}`));
+        }, waitTimeout);
+        const unsubscribe = on(method, (params) => {
+          let matched;
+          try {
+            matched = predicate(params);
+          } catch (err) {
+            cleanup();
+            rej(err);
+            return;
+          }
+          if (matched) {
+            cleanup();
+            res(params);
+          }
+        });
+        const unsubscribeClose = on('close', (err) => {
+          cleanup();
+          rej(err || new Error(`Connection closed while waiting for ${method}`));
+        });
+        cancel = cleanup;
+      });
+      return { promise, cancel: () => cancel() };
+    }
+
+    function waitForEvent(method, predicate, waitTimeout) {
+      return subscribeEvent(method, predicate, waitTimeout).promise;
+    }
+
+    // ── Commands ─────────────────────────────────────────────────────────────
+
     function send(method, params = {}) {
       return new Promise((res, rej) => {
+        if (closedError) {
+          rej(closedError);
+          return;
+        }
+        if (ws.readyState !== WebSocket.OPEN) {
+          rej(new Error(`Cannot send ${method}: connection not open`));
+          return;
+        }
         const id = messageId++;
         const timer = setTimeout(() => {
           pending.delete(id);
           rej(new Error(`Timeout: ${method}`));
         }, timeout);
-        pending.set(id, { resolve: res, reject: rej, timeout: timer });
-        ws.send(JSON.stringify({ id, method, params }));
+        pending.set(id, { method, resolve: res, reject: rej, timeout: timer });
+        ws.send(JSON.stringify({ id, method, params }), (err) => {
+          if (err && pending.has(id)) {
+            clearTimeout(timer);
+            pending.delete(id);
+            rej(err);
+          }
+        });
+      });
+    }
+
+    // ── Page helpers ─────────────────────────────────────────────────────────
+
+    // Run a function in the page with JSON-serializable arguments and return its value
+    async function callFunction(fn, ...args) {
+      const { result, exceptionDetails } = await send('Runtime.callFunctionOn', {
+        functionDeclaration: fn.toString(),
+        arguments: args.map((value) => ({ value })),
+        returnByValue: true,
+        awaitPromise: true,
+      });
+      if (exceptionDetails) {
+        throw new Error(`Evaluation failed: ${exceptionDetails.text}`);
+      }
+      return result?.value;
+    }
+
+    async function evaluateExpression(expression) {
+      const { result, exceptionDetails } = await send('Runtime.evaluate', {
+        expression,
+        returnByValue: true,
       });
+      if (exceptionDetails) {
+        throw new Error(`Evaluation failed: ${exceptionDetails.text}`);
+      }
+      return result?.value;
     }
-    
+
+    // Poll a function (called with args) or expression until it returns a truthy value
+    async function waitForFunction(pageFunction, options = {}, ...args) {
+      const { timeout: waitTimeout = timeout, polling = POLL_INTERVAL, message } = options;
+      const run = typeof pageFunction === 'function'
+        ? () => callFunction(pageFunction, ...args)
+        : () => evaluateExpression(pageFunction);
+      const deadline = Date.now() + waitTimeout;
+      for (;;) {
+        const value = await run();
+        if (value) return value;
+        if (Date.now() + polling > deadline) {
+          throw new Error(message || `Timeout waiting for function: ${pageFunction}`);
+        }
+        await sleep(polling);
+      }
+    }
+
+    async function querySelector(selector) {
+      const { root } = await send('DOM.getDocument', { depth: 0 });
+      const { nodeId } = await send('DOM.querySelector', { nodeId: root.nodeId, selector });
+      if (!nodeId) {
+        throw new Error(`Element not found: ${selector}`);
+      }
+      return nodeId;
+    }
+
+    // Scroll the element into view and return its border box in viewport coordinates
+    async function elementBox(selector) {
+      const nodeId = await querySelector(selector);
+      await send('DOM.scrollIntoViewIfNeeded', { nodeId });
+      const { model } = await send('DOM.getBoxModel', { nodeId });
+      const xs = [model.border[0], model.border[2], model.border[4], model.border[6]];
+      const ys = [model.border[1], model.border[3], model.border[5], model.border[7]];
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      return { nodeId, x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    function rejectAll(err) {
+      for (const [id, { method, reject: rej, timeout: timer }] of pending) {
+        clearTimeout(timer);
+        pending.delete(id);
+        rej(new Error(`${method} failed: ${err.message}`));
+      }
+    }
+
     ws.on('message', (data) => {
-      const msg = JSON.parse(data.toString());
-      
-      if (msg.method === 'Target.targetCreated' && msg.params?.targetInfo?.type === 'page') {
-        targetId = msg.params.targetInfo.targetId;
-        targetResolve(targetId);
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        console.error('Invalid CDP message received');
+        return;
       }
-      
+
       if (msg.id && pending.has(msg.id)) {
-        const { resolve, reject, timeout: timer } = pending.get(msg.id);
+        const { resolve: res, reject: rej, timeout: timer } = pending.get(msg.id);
         clearTimeout(timer);
         pending.delete(msg.id);
-        msg.error ? reject(new Error(msg.error.message)) : resolve(msg.result);
+        msg.error ? rej(new Error(msg.error.message)) : res(msg.result);
+        return;
       }
+
+      if (msg.method) {
+        emit(msg.method, msg.params || {});
+      }
+    });
+
+    ws.on('error', (err) => {
+      closedError = closedError || new Error(`WebSocket error: ${err.message}`);
+      rejectAll(closedError);
+      emit('error', err);
+      reject(closedError);
+    });
+
+    ws.on('close', (code, reason) => {
+      const normal = code === 1000 || code === 1005;
+      const err = closedError || new Error(
+        `WebSocket closed (${code}${reason && reason.length ? `: ${reason}` : ''})`
+      );
+      closedError = err;
+      rejectAll(err);
+      emit('close', normal ? null : err);
+      reject(err);
+    });
+
+    // Register before open so the worker's initial event can't be missed
+    const targetReady = waitForEvent(
+      'Target.targetCreated',
+      (p) => p.targetInfo?.type === 'page',
+      TARGET_TIMEOUT
+    ).catch((err) => {
+      throw err.message.startsWith('Timeout') ? new Error('No target created') : err;
     });
-    
-    ws.on('error', reject);
-    
+    targetReady.catch(() => {}); // surfaced from the open handler
+
     ws.on('open', async () => {
       try {
-        // Wait for target
-        await Promise.race([
-          targetReady,
-          new Promise((_, rej) => setTimeout(() => rej(new Error('No target created')), 10000))
-        ]);
-        
+        targetId = (await targetReady).targetInfo.targetId;
+
         // Client API
         const client = {
           ws,
           targetId,
           send,
-          
-          async navigate(url, waitMs = 3000) {
-            await send('Page.navigate', { url });
-            await new Promise(r => setTimeout(r, waitMs));
-          },
-          
-          async screenshot(format = 'png') {
-            const { data } = await send('Page.captureScreenshot', { format });
+          on,
+          off,
+          once,
+          waitForEvent,
+
+          async navigate(url, options = {}) {
+            // Legacy form: navigate(url, waitMs) sleeps for a fixed time
+            if (typeof options === 'number') {
+              const result = await send('Page.navigate', { url });
+              await sleep(options);
+              return result;
+            }
+
+            const { waitUntil = 'load', timeout: navTimeout = timeout } = options;
+            const name = LIFECYCLE_EVENTS[waitUntil];
+            if (!name) {
+              throw new Error(`Unknown waitUntil: ${waitUntil} (use load, domcontentloaded or networkidle)`);
+            }
+
+            // Lifecycle events can arrive before the navigate response that tells
+            // us which loaderId is ours, so remember the early ones
+            let loaderId = null;
+            const early = new Set();
+            const lifecycle = subscribeEvent('Page.lifecycleEvent', (p) => {
+              if (p.name !== name) return false;
+              if (loaderId === null) {
+                early.add(p.loaderId);
+                return false;
+              }
+              return p.loaderId === loaderId;
+            }, navTimeout);
+            lifecycle.promise.catch(() => {});
+
+            try {
+              const result = await send('Page.navigate', { url });
+              loaderId = result.loaderId;
+              if (!early.has(loaderId)) {
+                await lifecycle.promise.catch((err) => {
+                  throw err.message.startsWith('Timeout')
+                    ? new Error(`Timeout waiting for ${waitUntil} on ${url}`)
+                    : err;
+                });
+              }
+              return result;
+            } finally {
+              lifecycle.cancel();
+            }
+          },
+
+          async waitForSelector(selector, { visible = false, timeout: waitTimeout = timeout } = {}) {
+            await waitForFunction(
+              (sel, mustBeVisible) => {
+                const el = document.querySelector(sel);
+                if (!el) return false;
+                if (!mustBeVisible) return true;
+                const style = getComputedStyle(el);
+                const rect = el.getBoundingClientRect();
+                return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+              },
+              {
+                timeout: waitTimeout,
+                message: `Timeout waiting for selector${visible ? ' to be visible' : ''}: ${selector}`,
+              },
+              selector,
+              visible
+            );
+          },
+
+          waitForFunction,
+
+          // screenshot('jpeg') still works; options: format, quality, fullPage, selector,
+          // clip {x, y, width, height}, viewport {width, height, scale}, device, waitFor
+          async screenshot(options = {}) {
+            if (typeof options === 'string') options = { format: options };
+            const {
+              format = 'png',
+              quality,
+              fullPage = false,
+              selector,
+              clip,
+              viewport,
+              device,
+              waitFor,
+              timeout: waitTimeout = timeout,
+            } = options;
+
+            if (!SCREENSHOT_FORMATS.includes(format)) {
+              throw new Error(`Unknown format: ${format} (use ${SCREENSHOT_FORMATS.join(', ')})`);
+            }
+            if ([fullPage, selector, clip].filter(Boolean).length > 1) {
+              throw new Error('Use only one of fullPage, selector and clip');
+            }
+
+            if (device) await client.emulate(device);
+            if (viewport) {
+              await client.setViewport(viewport.width, viewport.height, viewport.scale || 1, viewport.mobile || false);
+            }
+            if (waitFor) await client.waitForSelector(waitFor, { visible: true, timeout: waitTimeout });
+
+            const params = { format };
+            if (quality !== undefined && format !== 'png') params.quality = quality;
+
+            if (fullPage) {
+              const metrics = await send('Page.getLayoutMetrics');
+              const size = metrics.cssContentSize || metrics.contentSize;
+              params.clip = { x: 0, y: 0, width: Math.ceil(size.width), height: Math.ceil(size.height), scale: 1 };
+              params.captureBeyondViewport = true;
+            } else if (selector) {
+              const box = await elementBox(selector);
+              if (box.width === 0 || box.height === 0) {
+                throw new Error(`Element not visible: ${selector}`);
+              }
+              // Box model is viewport-relative; clips are in page coordinates
+              const scroll = await callFunction(() => ({ x: window.scrollX, y: window.scrollY }));
+              params.clip = { x: box.x + scroll.x, y: box.y + scroll.y, width: box.width, height: box.height, scale: 1 };
+              params.captureBeyondViewport = true;
+            } else if (clip) {
+              params.clip = { scale: 1, ...clip };
+              params.captureBeyondViewport = true;
+            }
+
+            const { data } = await send('Page.captureScreenshot', params);
             return Buffer.from(data, 'base64');
           },
-          
+
           async setViewport(width = 1280, height = 800, scale = 1, mobile = false) {
             await send('Emulation.setDeviceMetricsOverride', {
               width, height, deviceScaleFactor: scale, mobile
             });
           },
-          
-          async evaluate(expression) {
-            return send('Runtime.evaluate', { expression });
+
+          async setContent(html, { waitUntil = 'load' } = {}) {
+            if (!SET_CONTENT_WAIT[waitUntil]) {
+              throw new Error(`Unknown waitUntil: ${waitUntil} (use load, domcontentloaded or networkidle)`);
+            }
+            await send('Page.setContent', { html, waitUntil: SET_CONTENT_WAIT[waitUntil] });
           },
-          
+
+          // Options: format (letter, a4, ...) or width/height, margin ('1cm' or
+          // {top, right, bottom, left}), landscape, printBackground, headerTemplate,
+          // footerTemplate, pageRanges ('1-3,5'), scale, preferCSSPageSize
+          async pdf(options = {}) {
+            const {
+              format = 'letter',
+              width,
+              height,
+              margin,
+              landscape = false,
+              printBackground = true,
+              headerTemplate,
+              footerTemplate,
+              pageRanges,
+              scale,
+              preferCSSPageSize = false,
+            } = options;
+
+            const paper = PAPER_SIZES[String(format).toLowerCase()];
+            if (!paper && !(width && height)) {
+              throw new Error(`Unknown paper format: ${format} (use ${Object.keys(PAPER_SIZES).join(', ')} or width/height)`);
+            }
+
+            const params = {
+              landscape,
+              printBackground,
+              paperWidth: width ? toInches(width) : paper.width,
+              paperHeight: height ? toInches(height) : paper.height,
+              preferCSSPageSize,
+            };
+
+            if (margin !== undefined) {
+              const m = typeof margin === 'object'
+                ? margin
+                : { top: margin, right: margin, bottom: margin, left: margin };
+              if (m.top !== undefined) params.marginTop = toInches(m.top);
+              if (m.right !== undefined) params.marginRight = toInches(m.right);
+              if (m.bottom !== undefined) params.marginBottom = toInches(m.bottom);
+              if (m.left !== undefined) params.marginLeft = toInches(m.left);
+            }
+
+            if (headerTemplate || footerTemplate) {
+              // Chrome prints its default header/footer for whichever template is missing
+              params.displayHeaderFooter = true;
+              params.headerTemplate = headerTemplate || '<span></span>';
+              params.footerTemplate = footerTemplate || '<span></span>';
+            }
+            if (pageRanges) params.pageRanges = pageRanges;
+            if (scale !== undefined) params.scale = scale;
+
+            const { data } = await send('Page.printToPDF', params);
+            return Buffer.from(data, 'base64');
+          },
+
+          async extract(schema, { scope } = {}) {
+            if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+              throw new Error('Schema must be an object of field name -> selector spec');
+            }
+            return callFunction(extractors.extractSchema, schema, scope || null);
+          },
+
+          async links({ scope } = {}) {
+            return callFunction(extractors.extractLinks, scope || null);
+          },
+
+          async tables({ scope } = {}) {
+            return callFunction(extractors.extractTables, scope || null);
+          },
+
+          async meta() {
+            return callFunction(extractors.extractMeta);
+          },
+
+          async article({ format = 'markdown' } = {}) {
+            if (format !== 'markdown' && format !== 'text') {
+              throw new Error(`Unknown article format: ${format} (use markdown or text)`);
+            }
+            return callFunction(extractors.extractArticle, format);
+          },
+
+          async emulate(device) {
+            const preset = DEVICES[device];
+            if (!preset) {
+              throw new Error(`Unknown device: ${device} (use ${Object.keys(DEVICES).join(', ')})`);
+            }
+            await client.setViewport(preset.width, preset.height, preset.scale, preset.mobile);
+            await send('Emulation.setUserAgentOverride', { userAgent: preset.userAgent });
+            await send('Emulation.setTouchEmulationEnabled', { enabled: preset.mobile, maxTouchPoints: 5 });
+          },
+
+          // evaluate(fn, ...args) returns fn's value; evaluate(expression) returns the raw
+          // Runtime.evaluate result as before
+          async evaluate(pageFunction, ...args) {
+            if (typeof pageFunction === 'function') {
+              return callFunction(pageFunction, ...args);
+            }
+            return send('Runtime.evaluate', { expression: pageFunction });
+          },
+
           async scroll(y = 300) {
             await send('Runtime.evaluate', { expression: `window.scrollBy(0, ${y})` });
-            await new Promise(r => setTimeout(r, 300));
+            await sleep(300);
           },
-          
-          async click(selector) {
-            await send('Runtime.evaluate', { 
-              expression: `document.querySelector('${selector}')?.click()` 
-            });
+
+          async click(selector, { button = 'left', clickCount = 1 } = {}) {
+            const box = await elementBox(selector);
+            if (box.width === 0 || box.height === 0) {
+              throw new Error(`Element not visible: ${selector}`);
+            }
+            const x = box.x + box.width / 2;
+            const y = box.y + box.height / 2;
+            await send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+            await send('Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button, clickCount });
+            await send('Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button, clickCount });
           },
-          
-          async type(selector, text) {
-            await send('Runtime.evaluate', {
-              expression: `(() => {
-                const el = document.querySelector('${selector}');
-                if (el) { el.value = '${text}'; el.dispatchEvent(new Event('input')); }
-              })()`
-            });
+
+          async type(selector, text, { clear = false } = {}) {
+            const nodeId = await querySelector(selector);
+            await send('DOM.focus', { nodeId });
+            if (clear) {
+              await callFunction((sel) => {
+                const el = document.querySelector(sel);
+                if ('value' in el) el.value = '';
+                else el.textContent = '';
+                el.dispatchEvent(new Event('input', { bubbles: true }));
+              }, selector);
+            }
+            await send('Input.insertText', { text: String(text) });
           },
-          
+
+          async press(key) {
+            const def = KEYS[key] || { key, text: key.length === 1 ? key : undefined };
+            const params = {
+              key: def.key || key,
+              code: def.code,
+              windowsVirtualKeyCode: def.keyCode,
+            };
+            await send('Input.dispatchKeyEvent', { type: 'keyDown', ...params, text: def.text });
+            await send('Input.dispatchKeyEvent', { type: 'keyUp', ...params });
+          },
+
           async getHTML() {
             const result = await send('Runtime.evaluate', {
               expression: 'document.documentElement.outerHTML'
             });
             return result.result?.value;
           },
-          
+
           async getText() {
             const result = await send('Runtime.evaluate', {
               expression: 'document.body.innerText'
             });
             return result.result?.value;
           },
-          
+
+          get closed() {
+            return closedError !== null;
+          },
+
           close() {
             ws.close();
           }
         };
-        
+
         resolve(client);
       } catch (err) {
+        ws.close();
         reject(err);
       }
     });
   });
 }
 
-module.exports = { createClient };
+module.exports = { createClient, DEVICES, PAPER_SIZES };
 
 // CLI mode
 if (require.main === module) {
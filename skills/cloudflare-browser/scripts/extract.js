@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Cloudflare Browser Rendering - Structured Extraction
+ * Usage: node extract.js <url> <links|tables|meta|article|schema.json|'{json}'> [options]
+ *
+ * Prints extracted data to stdout; progress goes to stderr.
+ *
+ * Extractors:
+ *   links             All links (text, absolute href, internal flag), de-duplicated
+ *   tables            Tables as { caption, headers, rows: [[...]] }
+ *   meta              Title, description, canonical, OpenGraph and Twitter tags
+ *   article           Main article content (readability-style), markdown by default
+ *   <schema>          JSON schema of CSS selectors, as a file path or inline JSON
+ *
+ * Options:
+ *   --scope <css>            Only look inside this element (links, tables, schema)
+ *   --format json|markdown|text   Output format (markdown: links, tables, article; text: article)
+ *   --max-chars <n>          Truncate markdown/text output
+ *   --wait-for <css>         Wait for an element to be visible before extracting
+ *   --wait-until <state>     load (default), domcontentloaded or networkidle
+ */
+
+const fs = require('fs');
+const { createClient } = require('./cdp-client');
+
+const USAGE = 'Usage: node extract.js <url> <links|tables|meta|article|schema.json|\'{json}\'>\n' +
+  '  [--scope <css>] [--format json|markdown|text] [--max-chars N]\n' +
+  '  [--wait-for <css>] [--wait-until load|domcontentloaded|networkidle]';
+const VALUE_FLAGS = ['--scope', '--format', '--max-chars', '--wait-for', '--wait-until'];
+const BUILTINS = ['links', 'tables', 'meta', 'article'];
+const FORMATS = {
+  links: ['json', 'markdown'],
+  tables: ['json', 'markdown'],
+  meta: ['json'],
+  article: ['markdown', 'text', 'json'],
+  schema: ['json'],
+};
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Parse args
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (VALUE_FLAGS.includes(arg)) {
+    if (args[i + 1] === undefined) fail(`${arg} needs a value`);
+    flags[arg] = args[++i];
+  } else if (arg.startsWith('--')) {
+    fail(`Unknown option ${arg}`);
+  } else {
+    positional.push(arg);
+  }
+}
+
+const [url, what] = positional;
+if (!url || !what) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const kind = BUILTINS.includes(what) ? what : 'schema';
+let schema;
+if (kind === 'schema') {
+  try {
+    schema = JSON.parse(what.trim().startsWith('{') ? what : fs.readFileSync(what, 'utf8'));
+  } catch (err) {
+    fail(`Could not load schema from ${what}: ${err.message}`);
+  }
+}
+
+const format = flags['--format'] || FORMATS[kind][0];
+if (!FORMATS[kind].includes(format)) {
+  fail(`${kind} supports --format ${FORMATS[kind].join(', ')}`);
+}
+const maxChars = flags['--max-chars'] !== undefined ? parseInt(flags['--max-chars'], 10) : undefined;
+if (maxChars !== undefined && !(maxChars > 0)) fail('--max-chars must be a positive number');
+
+function truncate(text) {
+  if (maxChars === undefined || text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars)}\n\n[truncated ${text.length - maxChars} characters]`;
+}
+
+function tableToMarkdown(table) {
+  const width = Math.max(table.headers.length, ...table.rows.map((r) => r.length));
+  if (width === 0) return '';
+  const cell = (c) => String(c).replace(/\|/g, '\\|');
+  const line = (r) => `| ${Array.from({ length: width }, (_, i) => cell(r[i] ?? '')).join(' | ')} |`;
+  const head = table.headers.length ? table.headers : Array(width).fill('');
+  const lines = [line(head), line(Array(width).fill('---')), ...table.rows.map(line)];
+  return (table.caption ? `**${table.caption}**\n\n` : '') + lines.join('\n');
+}
+
+function render(result) {
+  if (format === 'json') return JSON.stringify(result, null, 2);
+  switch (kind) {
+    case 'links':
+      return truncate(result.map((l) => `- [${l.text || l.href}](${l.href})`).join('\n'));
+    case 'tables':
+      return truncate(result.map(tableToMarkdown).join('\n\n'));
+    case 'article': {
+      const heading = format === 'markdown' && result.title && !result.content.startsWith('# ')
+        ? `# ${result.title}\n\n`
+        : '';
+      return truncate(heading + result.content);
+    }
+    default:
+      return JSON.stringify(result, null, 2);
+  }
+}
+
+async function main() {
+  console.error(`Extracting ${kind} from ${url}`);
+
+  const scope = flags['--scope'];
+  let client;
+  try {
+    client = await createClient();
+    await client.navigate(url, { waitUntil: flags['--wait-until'] || 'load' });
+    if (flags['--wait-for']) {
+      await client.waitForSelector(flags['--wait-for'], { visible: true });
+    }
+
+    let result;
+    switch (kind) {
+      case 'links':
+        result = await client.links({ scope });
+        break;
+      case 'tables':
+        result = await client.tables({ scope });
+        break;
+      case 'meta':
+        result = await client.meta();
+        break;
+      case 'article':
+        result = await client.article({ format: format === 'text' ? 'text' : 'markdown' });
+        if (format === 'json' && maxChars !== undefined) result.content = truncate(result.content);
+        break;
+      default:
+        result = await client.extract(schema, { scope });
+    }
+
+    console.log(render(result));
+    client.close();
+  } catch (err) {
+    console.error('Error:', err.message);
+    if (client) client.close();
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,351 @@
+/**
+ * Cloudflare Browser Rendering - Page Extractors
+ *
+ * Functions that run inside the page via client.evaluate(fn, ...args). They are
+ * serialized with toString(), so each one must be self-contained: no references
+ * to anything outside its own body, and only JSON-serializable arguments/results.
+ *
+ * Used by the client's extract(), links(), tables(), meta() and article().
+ */
+
+/**
+ * Extract structured data with a schema of CSS selectors.
+ *
+ * Field specs:
+ *   "h1"                                   — text of the first match (null if none)
+ *   "a.next@href"                          — attribute of the first match (URLs made absolute)
+ *   [".tag"]                               — text of every match
+ *   { "selector": ".price", "attr": "data-amount" }
+ *   { "selector": ".body", "html": true }  — innerHTML instead of text
+ *   { "selector": ".item", "list": true, "fields": { "name": ".name", "url": "a@href" } }
+ *   { "attr": "id" }                       — no selector: the current element itself
+ */
+function extractSchema(schema, scopeSelector) {
+  const URL_ATTRS = ['href', 'src', 'action', 'poster'];
+
+  function normalize(spec) {
+    if (Array.isArray(spec)) {
+      if (spec.length !== 1) throw new Error('List shorthand takes exactly one spec: [".item"]');
+      return { ...normalize(spec[0]), list: true };
+    }
+    if (typeof spec === 'string') {
+      const at = spec.lastIndexOf('@');
+      return at === -1 ? { selector: spec } : { selector: spec.slice(0, at), attr: spec.slice(at + 1) };
+    }
+    if (spec && typeof spec === 'object') return spec;
+    throw new Error(`Invalid field spec: ${JSON.stringify(spec)}`);
+  }
+
+  function valueOf(el, spec) {
+    if (spec.fields) return fieldsOf(el, spec.fields);
+    if (spec.attr) {
+      const value = el.getAttribute(spec.attr);
+      if (value !== null && URL_ATTRS.includes(spec.attr)) {
+        try {
+          return new URL(value, document.baseURI).href;
+        } catch {
+          return value;
+        }
+      }
+      return value;
+    }
+    if (spec.html) return el.innerHTML.trim();
+    return (el.innerText ?? el.textContent).replace(/\s+/g, ' ').trim();
+  }
+
+  function fieldOf(root, rawSpec) {
+    const spec = normalize(rawSpec);
+    if (spec.list) {
+      const els = spec.selector ? [...root.querySelectorAll(spec.selector)] : [root];
+      return els.map((el) => valueOf(el, spec));
+    }
+    const el = spec.selector ? root.querySelector(spec.selector) : root;
+    return el ? valueOf(el, spec) : null;
+  }
+
+  function fieldsOf(root, fields) {
+    const out = {};
+    for (const [name, spec] of Object.entries(fields)) {
+      out[name] = fieldOf(root, spec);
+    }
+    return out;
+  }
+
+  const root = scopeSelector ? document.querySelector(scopeSelector) : document;
+  if (!root) throw new Error(`Scope not found: ${scopeSelector}`);
+  return fieldsOf(root, schema);
+}
+
+/**
+ * All links on the page (or inside scopeSelector), de-duplicated by URL.
+ */
+function extractLinks(scopeSelector) {
+  const root = scopeSelector ? document.querySelector(scopeSelector) : document;
+  if (!root) throw new Error(`Scope not found: ${scopeSelector}`);
+
+  const seen = new Set();
+  const links = [];
+  for (const a of root.querySelectorAll('a[href]')) {
+    let url;
+    try {
+      url = new URL(a.getAttribute('href'), document.baseURI);
+    } catch {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol) || seen.has(url.href)) continue;
+    seen.add(url.href);
+    links.push({
+      text: ((a.innerText ?? a.textContent) || a.getAttribute('aria-label') || a.title || '').replace(/\s+/g, ' ').trim(),
+      href: url.href,
+      internal: url.host === location.host,
+      rel: a.rel || undefined,
+    });
+  }
+  return links;
+}
+
+/**
+ * Tables as { caption, headers, rows } with rows as arrays of cell text.
+ * Cells spanning several columns are repeated so rows line up with headers.
+ */
+function extractTables(scopeSelector) {
+  const root = scopeSelector ? document.querySelector(scopeSelector) : document;
+  if (!root) throw new Error(`Scope not found: ${scopeSelector}`);
+
+  const tables = root.matches?.('table') ? [root] : [...root.querySelectorAll('table')];
+  const cellText = (cell) => (cell.innerText ?? cell.textContent).replace(/\s+/g, ' ').trim();
+  const rowCells = (tr) => {
+    const cells = [];
+    for (const cell of tr.cells) {
+      const text = cellText(cell);
+      for (let i = 0; i < (cell.colSpan || 1); i++) cells.push(text);
+    }
+    return cells;
+  };
+
+  return tables
+    // Skip tables nested in other tables; their rows are part of the outer table's cells
+    .filter((table) => !table.parentElement?.closest('table') || table === root)
+    .map((table) => {
+      const trs = [...table.rows];
+      let headers = [];
+      const headRow = table.tHead?.rows[0] || (trs[0] && [...trs[0].cells].every((c) => c.tagName === 'TH') ? trs[0] : null);
+      if (headRow) headers = rowCells(headRow);
+      const rows = trs
+        .filter((tr) => tr !== headRow && tr.parentElement !== table.tHead)
+        .map(rowCells)
+        .filter((cells) => cells.some((c) => c !== ''));
+      return {
+        caption: table.caption ? cellText(table.caption) : '',
+        headers,
+        rows,
+      };
+    });
+}
+
+/**
+ * Title, description, canonical URL, language, OpenGraph and Twitter card tags,
+ * plus every other named <meta>.
+ */
+function extractMeta() {
+  const openGraph = {};
+  const twitter = {};
+  const meta = {};
+  for (const el of document.querySelectorAll('meta[content]')) {
+    const key = el.getAttribute('property') || el.getAttribute('name') || el.getAttribute('itemprop');
+    if (!key) continue;
+    const content = el.getAttribute('content');
+    if (key.startsWith('og:')) openGraph[key.slice(3)] = content;
+    else if (key.startsWith('twitter:')) twitter[key.slice(8)] = content;
+    else meta[key] = content;
+  }
+  const canonical = document.querySelector('link[rel="canonical"]');
+  return {
+    url: location.href,
+    title: document.title,
+    description: meta.description || openGraph.description || '',
+    canonical: canonical ? canonical.href : '',
+    lang: document.documentElement.lang || '',
+    openGraph,
+    twitter,
+    meta,
+  };
+}
+
+/**
+ * Readability-style main content: strips navigation and boilerplate, scores
+ * blocks by paragraph text and link density, and returns the best candidate as
+ * markdown or plain text.
+ */
+function extractArticle(format) {
+  const NOISE = 'script, style, noscript, template, iframe, svg, canvas, form, button, input, select, textarea, ' +
+    'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], ' +
+    '[aria-hidden="true"], [hidden]';
+  const NOISE_NAMES = /(^|[-_\s])(comment|sidebar|footer|header|nav|menu|promo|advert|ads?|share|social|related|cookie|banner|subscribe|newsletter|popup|modal)([-_\s]|$)/i;
+
+  const doc = document.cloneNode(true);
+  for (const el of doc.querySelectorAll(NOISE)) el.remove();
+  for (const el of doc.querySelectorAll('[class], [id]')) {
+    if (el.tagName === 'BODY' || el.tagName === 'HTML' || el.tagName === 'ARTICLE' || el.tagName === 'MAIN') continue;
+    const names = `${typeof el.className === 'string' ? el.className : ''} ${el.id}`;
+    if (NOISE_NAMES.test(names) && el.textContent.length < 2000) el.remove();
+  }
+
+  const clean = (s) => s.replace(/\s+/g, ' ').trim();
+  const linkDensity = (el) => {
+    const total = clean(el.textContent).length || 1;
+    let linked = 0;
+    for (const a of el.querySelectorAll('a')) linked += clean(a.textContent).length;
+    return linked / total;
+  };
+
+  // Score paragraph containers, giving partial credit to grandparents
+  const scores = new Map();
+  for (const p of doc.querySelectorAll('p, pre, td, blockquote, li')) {
+    const text = clean(p.textContent);
+    if (text.length < 25) continue;
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = p.parentElement;
+    if (!parent) continue;
+    scores.set(parent, (scores.get(parent) || 0) + score);
+    if (parent.parentElement) {
+      scores.set(parent.parentElement, (scores.get(parent.parentElement) || 0) + score / 2);
+    }
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  const semantic = doc.querySelector('article') || doc.querySelector('main, [role="main"]');
+  if (!best || (semantic && semantic.contains(best))) best = semantic || best;
+  if (!best) best = doc.body;
+
+  const absolute = (url) => {
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch {
+      return url;
+    }
+  };
+
+  // Markdown, or with plain set, the same block structure without markup
+  function render(node, ctx) {
+    if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== 1) return '';
+    const tag = node.tagName;
+    const inner = () => [...node.childNodes].map((c) => render(c, ctx)).join('');
+    if (ctx.plain) {
+      switch (tag) {
+        case 'STRONG': case 'B': case 'EM': case 'I': case 'A':
+          return inner();
+        case 'CODE':
+          return node.textContent;
+        case 'IMG':
+          return '';
+        case 'HR':
+          return '\n\n';
+        case 'PRE':
+          return `\n\n${node.textContent.replace(/\n$/, '')}\n\n`;
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+        case 'BLOCKQUOTE': case 'FIGCAPTION':
+          return `\n\n${inner().trim()}\n\n`;
+        case 'TABLE':
+          return `\n\n${[...node.rows].map((tr) => [...tr.cells].map((c) => clean(c.textContent)).join('\t')).join('\n')}\n\n`;
+        default:
+          break;
+      }
+    }
+    switch (tag) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+        return `\n\n${'#'.repeat(Number(tag[1]))} ${clean(inner())}\n\n`;
+      case 'P': case 'SECTION': case 'DIV': case 'ARTICLE': case 'MAIN': case 'FIGURE':
+        return `\n\n${inner().trim()}\n\n`;
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'STRONG': case 'B': {
+        const text = inner().trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'EM': case 'I': {
+        const text = inner().trim();
+        return text ? `_${text}_` : '';
+      }
+      case 'CODE':
+        return node.closest('pre') ? node.textContent : `\`${node.textContent}\``;
+      case 'PRE':
+        return `\n\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+      case 'BLOCKQUOTE':
+        return `\n\n${inner().trim().split('\n').map((l) => `> ${l}`).join('\n')}\n\n`;
+      case 'A': {
+        const text = clean(inner());
+        const href = node.getAttribute('href');
+        if (!href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+        return text ? `[${text}](${absolute(href)})` : '';
+      }
+      case 'IMG': {
+        const src = node.getAttribute('src');
+        return src ? `![${node.getAttribute('alt') || ''}](${absolute(src)})` : '';
+      }
+      case 'FIGCAPTION':
+        return `\n\n_${clean(inner())}_\n\n`;
+      case 'UL': case 'OL': {
+        ctx.list.push({ ordered: tag === 'OL', index: 0 });
+        const body = inner();
+        ctx.list.pop();
+        return `\n\n${body.replace(/^\n+|\n+$/g, '')}\n\n`;
+      }
+      case 'LI': {
+        const list = ctx.list[ctx.list.length - 1] || { ordered: false, index: 0 };
+        list.index++;
+        const indent = '  '.repeat(Math.max(ctx.list.length - 1, 0));
+        const marker = list.ordered ? `${list.index}.` : '-';
+        const body = inner().trim().replace(/\n{2,}/g, '\n');
+        return `\n${indent}${marker} ${body}`;
+      }
+      case 'TABLE': {
+        const rows = [...node.rows].map((tr) => [...tr.cells].map((c) => clean(c.textContent).replace(/\|/g, '\\|')));
+        if (rows.length === 0) return '';
+        const width = Math.max(...rows.map((r) => r.length));
+        const line = (r) => `| ${[...r, ...Array(width - r.length).fill('')].join(' | ')} |`;
+        return `\n\n${[line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n')}\n\n`;
+      }
+      default:
+        return inner();
+    }
+  }
+
+  const title = clean(
+    document.querySelector('meta[property="og:title"]')?.getAttribute('content') ||
+    document.querySelector('h1')?.textContent ||
+    document.title
+  );
+  const byline = clean(
+    document.querySelector('meta[name="author"]')?.getAttribute('content') ||
+    doc.querySelector('[rel="author"], .byline, .author')?.textContent ||
+    ''
+  );
+
+  const content = render(best, { list: [], plain: format === 'text' })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    url: location.href,
+    title,
+    byline,
+    excerpt: document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
+    length: clean(best.textContent).length,
+    content,
+  };
+}
+
+module.exports = { extractSchema, extractLinks, extractTables, extractMeta, extractArticle };
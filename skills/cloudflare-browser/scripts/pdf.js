@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Cloudflare Browser Rendering - PDF Export
+ * Usage: node pdf.js <url|file.html|-> [output.pdf] [options]
+ *
+ * Renders a URL, a local HTML file or HTML from stdin ("-") to PDF.
+ *
+ * Options:
+ *   --format letter|legal|tabloid|ledger|a3|a4|a5|a6   Paper size (default: letter)
+ *   --width <len> --height <len>     Custom paper size, e.g. 8.5in, 210mm
+ *   --margin <len>[,<len>,<len>,<len>]  All margins, or top,right,bottom,left
+ *   --landscape                      Landscape orientation
+ *   --no-background                  Don't print background colors and images
+ *   --header <html|file>             Header template
+ *   --footer <html|file>             Footer template
+ *   --page-ranges <ranges>           e.g. 1-3,5
+ *   --scale <n>                      Rendering scale, 0.1-2
+ *   --css-page-size                  Prefer the page's CSS @page size
+ *   --wait-for <css>                 Wait for an element to be visible first
+ *   --wait-until <state>             load (default), domcontentloaded or networkidle
+ *
+ * Header/footer templates may use these classes for injected values:
+ *   date, title, url, pageNumber, totalPages
+ *   e.g. '<div style="font-size:9px;width:100%;text-align:center">
+ *           <span class="pageNumber"></span>/<span class="totalPages"></span></div>'
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('./cdp-client');
+
+const USAGE = 'Usage: node pdf.js <url|file.html|-> [output.pdf] [--format a4] [--width 8.5in --height 11in]\n' +
+  '  [--margin 1cm | --margin top,right,bottom,left] [--landscape] [--no-background]\n' +
+  '  [--header <html|file>] [--footer <html|file>] [--page-ranges 1-3,5] [--scale 0.8]\n' +
+  '  [--css-page-size] [--wait-for <css>] [--wait-until load|domcontentloaded|networkidle]';
+const VALUE_FLAGS = [
+  '--format', '--width', '--height', '--margin', '--header', '--footer',
+  '--page-ranges', '--scale', '--wait-for', '--wait-until',
+];
+const BOOLEAN_FLAGS = ['--landscape', '--no-background', '--css-page-size'];
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Parse args
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (VALUE_FLAGS.includes(arg)) {
+    if (args[i + 1] === undefined) fail(`${arg} needs a value`);
+    flags[arg] = args[++i];
+  } else if (BOOLEAN_FLAGS.includes(arg)) {
+    flags[arg] = true;
+  } else if (arg.startsWith('--')) {
+    fail(`Unknown option ${arg}`);
+  } else {
+    positional.push(arg);
+  }
+}
+
+const input = positional[0];
+const output = positional[1] || 'output.pdf';
+
+if (!input) {
+  console.error(USAGE);
+  process.exit(1);
+}
+if (!!flags['--width'] !== !!flags['--height']) {
+  fail('--width and --height must be used together');
+}
+
+// Template values may be literal HTML or a path to an HTML file
+function template(value) {
+  if (value === undefined) return undefined;
+  return fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+}
+
+function parseMargin(value) {
+  if (value === undefined) return undefined;
+  const parts = value.split(',').map((p) => p.trim());
+  if (parts.length === 1) return parts[0];
+  if (parts.length !== 4) fail('--margin takes one value or four (top,right,bottom,left)');
+  const [top, right, bottom, left] = parts;
+  return { top, right, bottom, left };
+}
+
+async function readInput() {
+  if (/^(https?|file|data):/i.test(input)) return { url: input };
+  if (input === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return { html: Buffer.concat(chunks).toString('utf8') };
+  }
+  if (fs.existsSync(input)) return { html: fs.readFileSync(input, 'utf8') };
+  fail(`${input} is not a URL or a readable file`);
+}
+
+async function main() {
+  const source = await readInput();
+  const waitUntil = flags['--wait-until'] || 'load';
+  console.log(`Rendering PDF of ${source.url || (input === '-' ? 'stdin' : input)}`);
+
+  const options = {
+    format: flags['--format'],
+    width: flags['--width'],
+    height: flags['--height'],
+    margin: parseMargin(flags['--margin']),
+    landscape: !!flags['--landscape'],
+    printBackground: !flags['--no-background'],
+    headerTemplate: template(flags['--header']),
+    footerTemplate: template(flags['--footer']),
+    pageRanges: flags['--page-ranges'],
+    scale: flags['--scale'] !== undefined ? parseFloat(flags['--scale']) : undefined,
+    preferCSSPageSize: !!flags['--css-page-size'],
+  };
+  if (options.scale !== undefined && !(options.scale >= 0.1 && options.scale <= 2)) {
+    fail('--scale must be between 0.1 and 2');
+  }
+
+  let client;
+  try {
+    client = await createClient();
+    if (source.url) {
+      await client.navigate(source.url, { waitUntil });
+    } else {
+      await client.setContent(source.html, { waitUntil });
+    }
+    if (flags['--wait-for']) {
+      await client.waitForSelector(flags['--wait-for'], { visible: true });
+    }
+
+    const buffer = await client.pdf(options);
+    const outputPath = path.resolve(output);
+    fs.writeFileSync(outputPath, buffer);
+
+    console.log(`✓ Saved to ${outputPath} (${(buffer.length / 1024).toFixed(1)} KB)`);
+    client.close();
+  } catch (err) {
+    console.error('Error:', err.message);
+    if (client) client.close();
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/**
+ * Cloudflare Browser Rendering - Scripted Flows
+ * Usage: node run-flow.js <flow.json|flow.yaml> [--var NAME=value ...] [--failure-screenshot path]
+ *
+ * Runs a declarative list of browser steps. Progress is logged to stderr; a JSON
+ * summary (step results, extracted data, screenshots) is printed to stdout.
+ *
+ * Flow file:
+ *   {
+ *     "timeout": 30000,                         // default per-step timeout (ms)
+ *     "viewport": { "width": 1280, "height": 800 },
+ *     "steps": [
+ *       { "setCookie": { "name": "consent", "value": "yes", "domain": "example.com" } },
+ *       { "goto": "https://example.com/login" },
+ *       { "type": { "selector": "#email", "text": "${FLOW_LOGIN_EMAIL}" } },
+ *       { "type": { "selector": "#password", "text": "${FLOW_LOGIN_PASSWORD}" } },
+ *       { "click": "button[type=submit]" },
+ *       { "waitFor": { "selector": ".dashboard", "timeout": 15000 } },
+ *       { "assert": { "url": "/dashboard", "selector": ".welcome", "text": "Welcome" } },
+ *       { "scroll": "bottom" },
+ *       { "screenshot": { "path": "dashboard.png", "fullPage": true } },
+ *       { "extract": { "schema": { "balance": ".balance" }, "as": "account" } }
+ *     ]
+ *   }
+ *
+ * Steps (each step has one action key, plus optional "name" and "timeout"):
+ *   goto        url | { url, waitUntil }
+ *   click       selector | { selector, button, clickCount }
+ *   type        { selector, text, clear }
+ *   press       key, e.g. "Enter", "Tab", "Escape"
+ *   waitFor     ms | selector | { selector, visible } | { url } | { function }
+ *   scroll      pixels | "top" | "bottom" | { selector }
+ *   screenshot  path | { path, ...client.screenshot options }
+ *   extract     "links" | "tables" | "meta" | "article" | { schema, scope, as } | { type, scope, as }
+ *   assert      { selector, text, url, title, function, message } — all given checks must pass
+ *   setCookie   { name, value, url | domain, path, secure, httpOnly, sameSite, expires }
+ *
+ * Variables: "${NAME}" or "${NAME:-default}" anywhere in the flow, from --var or from
+ * environment variables named FLOW_* (--var wins). Other environment variables are never
+ * read, so a flow can't type or send the container's secrets. Typed text is never logged.
+ *
+ * A step that outlives its timeout ends the flow and closes the browser session, so it
+ * can't keep clicking or typing; no failure screenshot is taken in that case.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('./cdp-client');
+
+const USAGE = 'Usage: node run-flow.js <flow.json|flow.yaml> [--var NAME=value ...] [--failure-screenshot path]';
+const DEFAULT_TIMEOUT = 30000;
+const ACTIONS = ['goto', 'click', 'type', 'press', 'waitFor', 'scroll', 'screenshot', 'extract', 'assert', 'setCookie'];
+const STEP_OPTIONS = ['name', 'timeout'];
+const EXTRACT_TYPES = ['links', 'tables', 'meta', 'article'];
+const ENV_PREFIX = 'FLOW_';
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Parse args
+const args = process.argv.slice(2);
+const vars = {};
+let flowPath;
+let failureScreenshot = `/tmp/flow-failure-${Date.now()}.png`;
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '--var') {
+    const pair = args[++i] || '';
+    const eq = pair.indexOf('=');
+    if (eq < 1) fail('--var takes NAME=value');
+    vars[pair.slice(0, eq)] = pair.slice(eq + 1);
+  } else if (arg === '--failure-screenshot') {
+    if (args[i + 1] === undefined) fail('--failure-screenshot needs a path');
+    failureScreenshot = args[++i];
+  } else if (arg.startsWith('--')) {
+    fail(`Unknown option ${arg}`);
+  } else if (!flowPath) {
+    flowPath = arg;
+  } else {
+    fail(`Unexpected argument ${arg}`);
+  }
+}
+
+if (!flowPath) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// ── Loading ──────────────────────────────────────────────────────────────────
+
+function loadFlow(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) {
+    let YAML;
+    try {
+      YAML = require('yaml');
+    } catch {
+      throw new Error('YAML flows need the "yaml" package (npm install -g yaml); or use a .json flow');
+    }
+    return YAML.parse(source);
+  }
+  return JSON.parse(source);
+}
+
+// Replace ${NAME} / ${NAME:-default} in every string; collect names that have no value.
+// Only --var values and FLOW_* environment variables are visible to flows.
+function substitute(value, missing) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      if (vars[name] !== undefined) return vars[name];
+      if (name.startsWith(ENV_PREFIX) && process.env[name] !== undefined) return process.env[name];
+      if (fallback !== undefined) return fallback;
+      missing.add(name);
+      return match;
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => substitute(v, missing));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, missing)]));
+  }
+  return value;
+}
+
+function validate(flow) {
+  if (!flow || !Array.isArray(flow.steps) || flow.steps.length === 0) {
+    throw new Error('Flow must have a non-empty "steps" array');
+  }
+  flow.steps.forEach((step, i) => {
+    const keys = Object.keys(step || {});
+    const actions = keys.filter((k) => ACTIONS.includes(k));
+    const unknown = keys.filter((k) => !ACTIONS.includes(k) && !STEP_OPTIONS.includes(k));
+    if (actions.length !== 1 || unknown.length > 0) {
+      throw new Error(
+        `Step ${i + 1} must have exactly one action (${ACTIONS.join(', ')})` +
+        (unknown.length ? `; unknown keys: ${unknown.join(', ')}` : '')
+      );
+    }
+  });
+}
+
+// ── Steps ────────────────────────────────────────────────────────────────────
+
+// Rejects after ms; onTimeout runs first so the caller can stop the still-running step
+function withTimeout(promise, ms, label, onTimeout) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        onTimeout();
+        reject(new Error(`Timeout after ${ms}ms: ${label}`));
+      }, ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function describe(action, arg) {
+  switch (action) {
+    case 'type':
+      return `type into ${arg.selector} (${String(arg.text ?? '').length} chars)`;
+    case 'setCookie':
+      return `setCookie ${arg.name}`;
+    default:
+      return `${action} ${typeof arg === 'object' ? JSON.stringify(arg) : arg}`;
+  }
+}
+
+async function runStep(client, action, arg, ctx) {
+  const { timeout, data, screenshots } = ctx;
+  switch (action) {
+    case 'goto': {
+      const { url, waitUntil = 'load' } = typeof arg === 'string' ? { url: arg } : arg;
+      await client.navigate(url, { waitUntil, timeout });
+      return;
+    }
+
+    case 'click': {
+      const { selector, ...options } = typeof arg === 'string' ? { selector: arg } : arg;
+      await client.waitForSelector(selector, { visible: true, timeout });
+      await client.click(selector, options);
+      return;
+    }
+
+    case 'type': {
+      if (!arg.selector || arg.text === undefined) throw new Error('type needs selector and text');
+      await client.waitForSelector(arg.selector, { visible: true, timeout });
+      await client.type(arg.selector, arg.text, { clear: !!arg.clear });
+      return;
+    }
+
+    case 'press':
+      await client.press(arg);
+      return;
+
+    case 'waitFor': {
+      if (typeof arg === 'number') {
+        await new Promise(r => setTimeout(r, arg));
+      } else if (typeof arg === 'string') {
+        await client.waitForSelector(arg, { timeout });
+      } else if (arg.selector) {
+        await client.waitForSelector(arg.selector, { visible: !!arg.visible, timeout });
+      } else if (arg.url) {
+        await client.waitForFunction((part) => location.href.includes(part), {
+          timeout,
+          message: `Timeout waiting for URL containing ${arg.url}`,
+        }, arg.url);
+      } else if (arg.function) {
+        await client.waitForFunction(arg.function, { timeout });
+      } else {
+        throw new Error('waitFor needs ms, a selector, { selector }, { url } or { function }');
+      }
+      return;
+    }
+
+    case 'scroll': {
+      if (typeof arg === 'number') {
+        await client.scroll(arg);
+      } else if (arg === 'top' || arg === 'bottom') {
+        await client.evaluate((where) => {
+          window.scrollTo(0, where === 'top' ? 0 : document.documentElement.scrollHeight);
+        }, arg);
+      } else if (arg && arg.selector) {
+        const found = await client.evaluate((sel) => {
+          const el = document.querySelector(sel);
+          if (el) el.scrollIntoView({ block: 'center' });
+          return !!el;
+        }, arg.selector);
+        if (!found) throw new Error(`Element not found: ${arg.selector}`);
+      } else {
+        throw new Error('scroll needs pixels, "top", "bottom" or { selector }');
+      }
+      return;
+    }
+
+    case 'screenshot': {
+      const { path: file, ...options } = typeof arg === 'string' ? { path: arg } : arg;
+      if (!file) throw new Error('screenshot needs a path');
+      const buffer = await client.screenshot({ timeout, ...options });
+      const outputPath = path.resolve(file);
+      fs.writeFileSync(outputPath, buffer);
+      screenshots.push(outputPath);
+      return;
+    }
+
+    case 'extract': {
+      const spec = typeof arg === 'string' ? { type: arg } : arg;
+      const key = spec.as || spec.type || `extract${Object.keys(data).length + 1}`;
+      if (spec.schema) {
+        data[key] = await client.extract(spec.schema, { scope: spec.scope });
+      } else if (EXTRACT_TYPES.includes(spec.type)) {
+        data[key] = spec.type === 'article'
+          ? await client.article({ format: spec.format || 'markdown' })
+          : spec.type === 'meta'
+            ? await client.meta()
+            : await client[spec.type]({ scope: spec.scope });
+      } else {
+        throw new Error(`extract needs a schema or one of ${EXTRACT_TYPES.join(', ')}`);
+      }
+      return;
+    }
+
+    case 'assert': {
+      const failures = await client.evaluate((check) => {
+        const problems = [];
+        if (check.url !== undefined && !location.href.includes(check.url)) {
+          problems.push(`URL ${location.href} does not contain "${check.url}"`);
+        }
+        if (check.title !== undefined && !document.title.includes(check.title)) {
+          problems.push(`title "${document.title}" does not contain "${check.title}"`);
+        }
+        if (check.selector !== undefined) {
+          const el = document.querySelector(check.selector);
+          if (!el) {
+            problems.push(`no element matches ${check.selector}`);
+          } else if (check.text !== undefined && !el.innerText.includes(check.text)) {
+            problems.push(`${check.selector} text does not contain "${check.text}"`);
+          }
+        } else if (check.text !== undefined && !document.body.innerText.includes(check.text)) {
+          problems.push(`page text does not contain "${check.text}"`);
+        }
+        return problems;
+      }, arg);
+      if (arg.function !== undefined) {
+        const result = await client.evaluate(arg.function);
+        if (result.exceptionDetails || !result.result?.value) {
+          failures.push(`${arg.function} is not truthy`);
+        }
+      }
+      if (failures.length > 0) {
+        throw new Error(`Assertion failed${arg.message ? ` (${arg.message})` : ''}: ${failures.join('; ')}`);
+      }
+      return;
+    }
+
+    case 'setCookie': {
+      if (!arg.name || arg.value === undefined || !(arg.url || arg.domain)) {
+        throw new Error('setCookie needs name, value and url or domain');
+      }
+      await client.send('Network.setCookie', arg);
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+
+async function main() {
+  let flow;
+  try {
+    flow = loadFlow(flowPath);
+    validate(flow);
+    const missing = new Set();
+    flow = substitute(flow, missing);
+    if (missing.size > 0) {
+      throw new Error(`Missing variables: ${[...missing].join(', ')} (pass --var NAME=value or set FLOW_* variables)`);
+    }
+  } catch (err) {
+    fail(`${flowPath}: ${err.message}`);
+  }
+
+  const defaultTimeout = flow.timeout || DEFAULT_TIMEOUT;
+  const summary = { ok: false, steps: [], data: {}, screenshots: [] };
+  const total = flow.steps.length;
+  console.error(`Running ${flow.name || path.basename(flowPath)} (${total} steps)`);
+
+  let client;
+  let timedOut = false;
+  try {
+    client = await createClient();
+    if (flow.viewport) {
+      await client.setViewport(flow.viewport.width, flow.viewport.height, flow.viewport.scale || 1, false);
+    }
+
+    for (let i = 0; i < total; i++) {
+      const step = flow.steps[i];
+      const action = Object.keys(step).find((k) => ACTIONS.includes(k));
+      const timeout = step.timeout || defaultTimeout;
+      const label = step.name || describe(action, step[action]);
+      const started = Date.now();
+      console.error(`[${i + 1}/${total}] ${label}`);
+
+      try {
+        // Extra second so the step's own timeout error wins when it has one
+        await withTimeout(
+          runStep(client, action, step[action], { timeout, data: summary.data, screenshots: summary.screenshots }),
+          timeout + 1000,
+          label,
+          () => {
+            // The step keeps running after the race is lost; closing the session makes its
+            // remaining commands fail instead of acting on the page
+            timedOut = true;
+            client.close();
+          }
+        );
+      } catch (err) {
+        summary.steps.push({ step: i + 1, action, name: label, ok: false, ms: Date.now() - started, error: err.message });
+        throw err;
+      }
+
+      const ms = Date.now() - started;
+      summary.steps.push({ step: i + 1, action, name: label, ok: true, ms });
+      console.error(`  ✓ ${ms}ms`);
+    }
+
+    summary.ok = true;
+    console.error('✓ Flow completed');
+  } catch (err) {
+    summary.error = err.message;
+    console.error(`  ✗ ${err.message}`);
+    if (timedOut) {
+      console.error('Browser session closed after the timeout; no failure screenshot');
+    } else if (client) {
+      try {
+        fs.writeFileSync(path.resolve(failureScreenshot), await client.screenshot('png'));
+        summary.failureScreenshot = path.resolve(failureScreenshot);
+        console.error(`Failure screenshot: ${summary.failureScreenshot}`);
+      } catch (screenshotErr) {
+        console.error(`Could not capture failure screenshot: ${screenshotErr.message}`);
+      }
+    }
+  }
+
+  if (client && !timedOut) client.close();
+  console.log(JSON.stringify(summary, null, 2));
+  process.exit(summary.ok ? 0 : 1);
+}
+
+main();
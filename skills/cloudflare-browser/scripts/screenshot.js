@@ -1,106 +1,118 @@
 #!/usr/bin/env node
 /**
  * Cloudflare Browser Rendering - Screenshot
- * Usage: node screenshot.js <url> [output.png]
+ * Usage: node screenshot.js <url> [output.png] [options]
+ *
+ * Options:
+ *   --full-page                  Capture the whole scrollable page
+ *   --selector <css>             Capture a single element
+ *   --clip x,y,w,h               Capture a region (page coordinates)
+ *   --format png|jpeg|webp       Image format (default: png, or from the output extension)
+ *   --quality N                  JPEG/WebP quality 0-100
+ *   --viewport WxH               Viewport size (default: 1280x800 at 2x; not with --mobile)
+ *   --mobile [device]            Emulate a device (iphone-15, iphone-se, pixel-8, ipad; default iphone-15)
+ *   --wait-for <css>             Wait for an element to be visible before capturing
+ *   --wait-until <state>         load (default), domcontentloaded or networkidle
  */
 
-const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
+const { createClient, DEVICES } = require('./cdp-client');
 
-const CDP_SECRET = process.env.CDP_SECRET;
-if (!CDP_SECRET) {
-  console.error('Error: CDP_SECRET environment variable not set');
+const USAGE = 'Usage: node screenshot.js <url> [output.png] [--full-page | --selector <css> | --clip x,y,w,h]\n' +
+  '  [--format png|jpeg|webp] [--quality N] [--viewport WxH] [--mobile [device]]\n' +
+  '  [--wait-for <css>] [--wait-until load|domcontentloaded|networkidle]';
+const VALUE_FLAGS = ['--selector', '--clip', '--format', '--quality', '--viewport', '--wait-for', '--wait-until'];
+const EXTENSION_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp' };
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  console.error(USAGE);
   process.exit(1);
 }
 
-const WORKER_URL = process.env.WORKER_URL.replace(/^https?:\/\//, '');
-const WS_URL = `wss://${WORKER_URL}/cdp?secret=${encodeURIComponent(CDP_SECRET)}`;
-
-const url = process.argv[2];
-const output = process.argv[3] || 'screenshot.png';
+// Parse args
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (VALUE_FLAGS.includes(arg)) {
+    if (args[i + 1] === undefined) fail(`${arg} needs a value`);
+    flags[arg] = args[++i];
+  } else if (arg === '--full-page') {
+    flags[arg] = true;
+  } else if (arg === '--mobile') {
+    // Device name is optional; only consume the next arg if it is a known preset
+    flags[arg] = DEVICES[args[i + 1]] ? args[++i] : 'iphone-15';
+  } else if (arg.startsWith('--')) {
+    fail(`Unknown option ${arg}`);
+  } else {
+    positional.push(arg);
+  }
+}
 
+const url = positional[0];
 if (!url) {
-  console.error('Usage: node screenshot.js <url> [output.png]');
+  console.error(USAGE);
   process.exit(1);
 }
 
-let messageId = 1;
-const pending = new Map();
+const format = flags['--format'] || EXTENSION_FORMATS[path.extname(positional[1] || '').toLowerCase()] || 'png';
+const output = positional[1] || `screenshot.${format === 'jpeg' ? 'jpg' : format}`;
+
+if (['--full-page', '--selector', '--clip'].filter((f) => flags[f]).length > 1) {
+  fail('Use only one of --full-page, --selector and --clip');
+}
+if (flags['--viewport'] && flags['--mobile']) {
+  fail('Use either --viewport or --mobile; a device preset sets its own viewport');
+}
+
+const options = { format, fullPage: !!flags['--full-page'], selector: flags['--selector'] };
+
+if (flags['--quality'] !== undefined) {
+  options.quality = parseInt(flags['--quality'], 10);
+  if (Number.isNaN(options.quality) || options.quality < 0 || options.quality > 100) {
+    fail('--quality must be a number from 0 to 100');
+  }
+}
+
+if (flags['--clip']) {
+  const parts = flags['--clip'].split(',').map(Number);
+  if (parts.length !== 4 || parts.some(Number.isNaN)) fail('--clip must be x,y,width,height');
+  const [x, y, width, height] = parts;
+  options.clip = { x, y, width, height };
+}
+
+let viewport = { width: 1280, height: 800, scale: 2 };
+if (flags['--viewport']) {
+  const match = flags['--viewport'].match(/^(\d+)x(\d+)$/);
+  if (!match) fail('--viewport must be WIDTHxHEIGHT, e.g. 1440x900');
+  viewport = { width: parseInt(match[1], 10), height: parseInt(match[2], 10), scale: 1 };
+}
 
 async function main() {
   console.log(`Capturing screenshot of ${url}`);
-  
-  const ws = new WebSocket(WS_URL);
-  let targetResolve;
-  const targetReady = new Promise(r => { targetResolve = r; });
-  
-  function send(method, params = {}) {
-    return new Promise((resolve, reject) => {
-      const id = messageId++;
-      const timeout = setTimeout(() => {
-        pending.delete(id);
-        reject(new Error(`Timeout: ${method}`));
-      }, 60000);
-      pending.set(id, { resolve, reject, timeout });
-      ws.send(JSON.stringify({ id, method, params }));
-    });
-  }
-  
-  ws.on('message', (data) => {
-    const msg = JSON.parse(data.toString());
-    
-    if (msg.method === 'Target.targetCreated' && msg.params?.targetInfo?.type === 'page') {
-      targetResolve();
-    }
-    
-    if (msg.id && pending.has(msg.id)) {
-      const { resolve, reject, timeout } = pending.get(msg.id);
-      clearTimeout(timeout);
-      pending.delete(msg.id);
-      msg.error ? reject(new Error(msg.error.message)) : resolve(msg.result);
-    }
-  });
-  
-  ws.on('error', (err) => {
-    console.error('WebSocket error:', err.message);
-    process.exit(1);
-  });
-  
-  await new Promise(r => ws.on('open', r));
-  
-  // Wait for target with timeout
-  await Promise.race([
-    targetReady,
-    new Promise((_, reject) => setTimeout(() => reject(new Error('No target created')), 10000))
-  ]);
-  
+
+  let client;
   try {
-    // Set viewport
-    await send('Emulation.setDeviceMetricsOverride', {
-      width: 1280,
-      height: 800,
-      deviceScaleFactor: 2,
-      mobile: false
-    });
-    
-    // Navigate
-    await send('Page.navigate', { url });
-    await new Promise(r => setTimeout(r, 5000));
-    
-    // Screenshot
-    const { data } = await send('Page.captureScreenshot', { format: 'png' });
-    const buffer = Buffer.from(data, 'base64');
-    
+    client = await createClient();
+    if (flags['--mobile']) {
+      await client.emulate(flags['--mobile']);
+    } else {
+      await client.setViewport(viewport.width, viewport.height, viewport.scale, false);
+    }
+    await client.navigate(url, { waitUntil: flags['--wait-until'] || 'load' });
+
+    const buffer = await client.screenshot({ ...options, waitFor: flags['--wait-for'] });
     const outputPath = path.resolve(output);
     fs.writeFileSync(outputPath, buffer);
-    
+
     console.log(`✓ Saved to ${outputPath} (${(buffer.length / 1024).toFixed(1)} KB)`);
-    ws.close();
-    
+    client.close();
   } catch (err) {
     console.error('Error:', err.message);
-    ws.close();
+    if (client) client.close();
     process.exit(1);
   }
 }
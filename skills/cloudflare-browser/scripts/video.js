@@ -1,155 +1,203 @@
 #!/usr/bin/env node
 /**
  * Cloudflare Browser Rendering - Video Capture
- * Usage: node video.js "url1,url2,url3" [output.mp4] [--fps 10] [--scroll]
- * 
- * Captures frames while browsing multiple URLs and creates an MP4 video.
+ * Usage: node video.js "url1,url2,url3" [output.mp4|.webm|.gif] [options]
+ *
+ * Records the browser with Page.startScreencast while visiting each URL and
+ * encodes the frames with their real timestamps, so playback runs in real time.
  * Requires: ffmpeg installed
+ *
+ * Options:
+ *   --dwell <seconds>        Time to stay on each page (default: 3; at the bottom with --scroll)
+ *   --scroll                 Scroll each page to the bottom before dwelling
+ *   --scroll-speed <px/s>    Scroll speed (default: 800)
+ *   --size WxH               Resolution (default: 1280x720)
+ *   --fps <n>                Output frame rate (default: 30, or 12 for GIF)
+ *   --format mp4|webm|gif    Output format (default: from the output extension, else mp4)
+ *   --quality <0-100>        JPEG quality of captured frames (default: 80)
+ *   --wait-until <state>     load (default), domcontentloaded or networkidle
  */
 
-const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
+const { createClient } = require('./cdp-client');
 
-const CDP_SECRET = process.env.CDP_SECRET;
-if (!CDP_SECRET) {
-  console.error('Error: CDP_SECRET environment variable not set');
+const USAGE = 'Usage: node video.js "url1,url2,url3" [output.mp4|.webm|.gif] [--dwell 3] [--scroll]\n' +
+  '  [--scroll-speed 800] [--size 1280x720] [--fps 30] [--format mp4|webm|gif] [--quality 80]\n' +
+  '  [--wait-until load|domcontentloaded|networkidle]';
+const VALUE_FLAGS = ['--dwell', '--scroll-speed', '--size', '--fps', '--format', '--quality', '--wait-until'];
+const FORMATS = ['mp4', 'webm', 'gif'];
+const SCROLL_TICK_MS = 50;
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  console.error(USAGE);
   process.exit(1);
 }
 
-const WORKER_URL = process.env.WORKER_URL.replace(/^https?:\/\//, '');
-const WS_URL = `wss://${WORKER_URL}/cdp?secret=${encodeURIComponent(CDP_SECRET)}`;
-
 // Parse args
 const args = process.argv.slice(2);
-const urlArg = args.find(a => !a.startsWith('--'));
-const output = args.find((a, i) => i > 0 && !a.startsWith('--')) || 'output.mp4';
-const fps = args.includes('--fps') ? parseInt(args[args.indexOf('--fps') + 1]) : 10;
-const doScroll = args.includes('--scroll');
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (VALUE_FLAGS.includes(arg)) {
+    if (args[i + 1] === undefined) fail(`${arg} needs a value`);
+    flags[arg] = args[++i];
+  } else if (arg === '--scroll') {
+    flags[arg] = true;
+  } else if (arg.startsWith('--')) {
+    fail(`Unknown option ${arg}`);
+  } else {
+    positional.push(arg);
+  }
+}
 
+const [urlArg, outputArg] = positional;
 if (!urlArg) {
-  console.error('Usage: node video.js "url1,url2,url3" [output.mp4] [--fps 10] [--scroll]');
+  console.error(USAGE);
   process.exit(1);
 }
 
-const urls = urlArg.split(',').map(u => u.trim());
+const format = flags['--format'] || path.extname(outputArg || '').slice(1).toLowerCase() || 'mp4';
+if (!FORMATS.includes(format)) fail(`--format must be one of ${FORMATS.join(', ')}`);
+const output = outputArg || `output.${format}`;
+
+function number(flag, fallback, min, max) {
+  if (flags[flag] === undefined) return fallback;
+  const value = Number(flags[flag]);
+  if (!(value >= min && value <= max)) fail(`${flag} must be a number from ${min} to ${max}`);
+  return value;
+}
+
+const dwell = number('--dwell', 3, 0, 600);
+const scrollSpeed = number('--scroll-speed', 800, 1, 100000);
+const fps = number('--fps', format === 'gif' ? 12 : 30, 1, 60);
+const quality = number('--quality', 80, 0, 100);
+const doScroll = !!flags['--scroll'];
+
+let size = { width: 1280, height: 720 };
+if (flags['--size']) {
+  const match = flags['--size'].match(/^(\d+)x(\d+)$/);
+  if (!match) fail('--size must be WIDTHxHEIGHT, e.g. 1920x1080');
+  size = { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+}
+
+const urls = urlArg.split(',').map(u => u.trim()).filter(Boolean);
 const framesDir = `/tmp/cf-video-frames-${Date.now()}`;
-fs.mkdirSync(framesDir, { recursive: true });
 
-let messageId = 1;
-const pending = new Map();
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-async function main() {
-  console.log(`Creating video from ${urls.length} URL(s)`);
-  console.log(`Output: ${output}, FPS: ${fps}, Scroll: ${doScroll}\n`);
-  
-  const ws = new WebSocket(WS_URL);
-  let targetResolve;
-  const targetReady = new Promise(r => { targetResolve = r; });
-  
-  function send(method, params = {}) {
-    return new Promise((resolve, reject) => {
-      const id = messageId++;
-      const timeout = setTimeout(() => {
-        pending.delete(id);
-        reject(new Error(`Timeout: ${method}`));
-      }, 60000);
-      pending.set(id, { resolve, reject, timeout });
-      ws.send(JSON.stringify({ id, method, params }));
-    });
+// Scroll in small steps so the screencast sees continuous motion; stops at the bottom
+async function scrollToBottom(client) {
+  const step = Math.max(1, Math.round(scrollSpeed * SCROLL_TICK_MS / 1000));
+  for (;;) {
+    const atBottom = await client.evaluate((dy) => {
+      window.scrollBy(0, dy);
+      const root = document.scrollingElement || document.documentElement;
+      return window.scrollY + window.innerHeight >= root.scrollHeight - 1;
+    }, step);
+    if (atBottom) return;
+    await sleep(SCROLL_TICK_MS);
   }
-  
-  ws.on('message', (data) => {
-    const msg = JSON.parse(data.toString());
-    
-    if (msg.method === 'Target.targetCreated' && msg.params?.targetInfo?.type === 'page') {
-      targetResolve();
-    }
-    
-    if (msg.id && pending.has(msg.id)) {
-      const { resolve, reject, timeout } = pending.get(msg.id);
-      clearTimeout(timeout);
-      pending.delete(msg.id);
-      msg.error ? reject(new Error(msg.error.message)) : resolve(msg.result);
-    }
-  });
-  
-  ws.on('error', (err) => {
-    console.error('WebSocket error:', err.message);
-    process.exit(1);
+}
+
+// ffconcat list where each frame is shown until the next one arrived
+function writeConcatList(frames, endTime) {
+  const lines = ['ffconcat version 1.0'];
+  frames.forEach((frame, i) => {
+    const next = i + 1 < frames.length ? frames[i + 1].timestamp : endTime;
+    lines.push(`file '${frame.file}'`, `duration ${Math.max(next - frame.timestamp, 0.001).toFixed(3)}`);
   });
-  
-  await new Promise(r => ws.on('open', r));
-  
-  await Promise.race([
-    targetReady,
-    new Promise((_, reject) => setTimeout(() => reject(new Error('No target created')), 10000))
-  ]);
-  
-  let frameNum = 0;
-  
-  async function captureFrames(count, delayMs = 100) {
-    for (let i = 0; i < count; i++) {
-      const { data } = await send('Page.captureScreenshot', { format: 'png' });
-      const filename = `frame_${String(frameNum).padStart(5, '0')}.png`;
-      fs.writeFileSync(path.join(framesDir, filename), Buffer.from(data, 'base64'));
-      frameNum++;
-      await new Promise(r => setTimeout(r, delayMs));
-    }
-  }
-  
-  async function scroll() {
-    await send('Runtime.evaluate', { expression: 'window.scrollBy(0, 300)' });
-    await new Promise(r => setTimeout(r, 300));
+  // The concat demuxer ignores the last duration unless the final file is listed again
+  lines.push(`file '${frames[frames.length - 1].file}'`);
+  const listPath = path.join(framesDir, 'frames.txt');
+  fs.writeFileSync(listPath, lines.join('\n') + '\n');
+  return listPath;
+}
+
+function encoderArgs() {
+  // H.264 and VP9 need even dimensions
+  const even = 'scale=trunc(iw/2)*2:trunc(ih/2)*2';
+  switch (format) {
+    case 'gif':
+      return ['-vf', `fps=${fps},split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-loop', '0'];
+    case 'webm':
+      return ['-vf', `fps=${fps},${even}`, '-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '33', '-pix_fmt', 'yuv420p'];
+    default:
+      return ['-vf', `fps=${fps},${even}`, '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-preset', 'fast', '-crf', '23'];
   }
-  
+}
+
+async function main() {
+  console.log(`Recording ${urls.length} URL(s) at ${size.width}x${size.height}`);
+  console.log(`Output: ${output} (${format}, ${fps} fps), dwell: ${dwell}s, scroll: ${doScroll}\n`);
+
+  fs.mkdirSync(framesDir, { recursive: true });
+  const frames = [];
+  let recording = false;
+  let client;
+
   try {
-    // Set viewport
-    await send('Emulation.setDeviceMetricsOverride', {
-      width: 1280,
-      height: 720,
-      deviceScaleFactor: 1,
-      mobile: false
+    client = await createClient();
+    await client.setViewport(size.width, size.height, 1, false);
+
+    client.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+      client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+      if (!recording) return;
+      const file = `frame_${String(frames.length).padStart(5, '0')}.jpg`;
+      fs.writeFileSync(path.join(framesDir, file), Buffer.from(data, 'base64'));
+      // Prefer the browser's capture time; remember local receipt time to place the end of the clip
+      const receivedAt = Date.now() / 1000;
+      frames.push({ file, timestamp: metadata?.timestamp ?? receivedAt, receivedAt });
     });
-    
+
+    recording = true;
+    await client.send('Page.startScreencast', {
+      format: 'jpeg',
+      quality,
+      maxWidth: size.width,
+      maxHeight: size.height,
+    });
+
     for (const url of urls) {
       console.log(`→ ${url}`);
-      await send('Page.navigate', { url });
-      await new Promise(r => setTimeout(r, 4000));
-      
-      // Capture frames on page
-      await captureFrames(15);
-      
-      if (doScroll) {
-        await scroll();
-        await captureFrames(10);
-        await scroll();
-        await captureFrames(10);
-      }
+      await client.navigate(url, { waitUntil: flags['--wait-until'] || 'load' });
+      if (doScroll) await scrollToBottom(client);
+      await sleep(dwell * 1000);
     }
-    
-    ws.close();
-    console.log(`\n✓ Captured ${frameNum} frames`);
-    
-    // Stitch with ffmpeg
+
+    recording = false;
+    await client.send('Page.stopScreencast');
+    client.close();
+
+    if (frames.length === 0) throw new Error('No frames received from the screencast');
+    const last = frames[frames.length - 1];
+    const endTime = last.timestamp + (Date.now() / 1000 - last.receivedAt);
+    const seconds = endTime - frames[0].timestamp;
+    console.log(`\n✓ Captured ${frames.length} frames (${seconds.toFixed(1)}s)`);
+
     console.log('Encoding video...');
     const outputPath = path.resolve(output);
-    execSync(
-      `ffmpeg -y -framerate ${fps} -i "${framesDir}/frame_%05d.png" -c:v libx264 -pix_fmt yuv420p -preset fast -crf 23 "${outputPath}"`,
-      { stdio: 'pipe' }
-    );
-    
-    // Cleanup frames
-    fs.rmSync(framesDir, { recursive: true });
-    
+    try {
+      execFileSync('ffmpeg', [
+        '-y', '-f', 'concat', '-safe', '0', '-i', writeConcatList(frames, endTime),
+        ...encoderArgs(), outputPath,
+      ], { stdio: 'pipe' });
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error('ffmpeg not found; install it to encode video');
+      throw new Error(`ffmpeg failed: ${String(err.stderr || err.message).trim().split('\n').pop()}`);
+    }
+
     const stats = fs.statSync(outputPath);
     console.log(`✓ Video saved to ${outputPath} (${(stats.size / 1024).toFixed(1)} KB)`);
-    
   } catch (err) {
     console.error('Error:', err.message);
-    ws.close();
-    process.exit(1);
+    if (client) client.close();
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(framesDir, { recursive: true, force: true });
   }
 }
 
@@ -5,15 +5,66 @@
  * Commands:
  *   node calendar.js list [maxResults] [calendarId]           — List upcoming events
  *   node calendar.js today [calendarId]                       — Today's events
- *   node calendar.js week [calendarId]                        — This week's events
+ *   node calendar.js tomorrow [calendarId]                    — Tomorrow's events
+ *   node calendar.js week [calendarId]                        — Rest of this week (through Sunday)
+ *   node calendar.js next-week [calendarId]                   — Next Monday through Sunday
+ *   node calendar.js month [calendarId]                       — Rest of this month
+ *   node calendar.js next-month [calendarId]                  — All of next month
+ *   node calendar.js range <from> <to> [calendarId]           — Events between two dates/times
  *   node calendar.js get <eventId> [calendarId]               — Get event details
+ *   node calendar.js instances <eventId> [--from --to --max]  — Occurrences of a recurring event
  *   node calendar.js search <query> [maxResults] [calendarId] — Search events
- *   node calendar.js create <jsonFile>                        — Create event from JSON file
+ *   node calendar.js create <jsonFile> [--every ...]          — Create event from JSON file
  *   node calendar.js quick <text> [calendarId]                — Quick-add event from text
- *   node calendar.js update <eventId> <jsonFile> [calendarId] — Update event from JSON file
+ *   node calendar.js update <eventId> <jsonFile> [calendarId] [--scope this|following|all]
+ *                                                             — Update event from JSON file
+ *   node calendar.js respond <eventId> accepted|declined|tentative [--comment <text>]
+ *                                                             — Answer an invitation
+ *   node calendar.js invite <eventId> <emails...> [--optional] — Add guests
+ *   node calendar.js uninvite <eventId> <emails...>           — Remove guests
+ *   node calendar.js move <eventId> <newStart>                — Reschedule, keeping the duration
+ *   node calendar.js cancel <eventId> [--scope ...]           — Mark cancelled (not deleted)
+ *   node calendar.js export <range> [out.ics]                 — Events as iCalendar (stdout or file)
+ *   node calendar.js import <file.ics|->  [--dry-run]         — Add/update events from iCalendar
  *   node calendar.js calendars                                — List all calendars
+ *   node calendar.js freebusy <calendars|emails> [options]    — Busy intervals per calendar
+ *   node calendar.js find-slot --duration <min> --attendees <emails> [options] [--create --summary <s>]
+ *                                                             — Ranked free slots for everyone
  *
- * NOTE: Delete is intentionally NOT supported for safety.
+ * Days and weeks are taken in a time zone: --tz <zone> (IANA, e.g. America/New_York) on any of the
+ * range commands, freebusy and find-slot, else GOOGLE_CALENDAR_TIMEZONE, else the calendar's own.
+ * <from>/<to> accept now, today, tomorrow, YYYY-MM-DD, YYYY-MM-DDTHH:MM (in that zone) or ISO 8601
+ * with an offset; a date as <to> includes that whole day.
+ *
+ * Options for freebusy / find-slot:
+ *   --from <when>          Start (default: now)
+ *   --to <when>            End; default --days after --from
+ *   --days <n>             Range length when --to is not given (default 7)
+ *   --tz <zone>            Time zone for dates, working hours and output
+ *   --hours <HH:MM-HH:MM>  Working hours for find-slot (default 09:00-17:00)
+ *   --weekends             Also consider Saturday and Sunday
+ *   --step <min>           Granularity of candidate start times (default 15)
+ *   --limit <n>            Number of slots to return (default 5)
+ *
+ * Recurrence for create (compiled to an RRULE):
+ *   --every daily|weekly|weekdays|monthly|yearly
+ *   --interval <n>         Every n days/weeks/... (default 1)
+ *   --on <days>            MO,WE or monday,wednesday; monthly also 1MO (first Monday), -1FR (last
+ *                          Friday) or month days like 1,15
+ *   --until <YYYY-MM-DD>   Last date (inclusive), or --count <n> occurrences
+ *
+ * --scope for update/cancel of a recurring event: this (the given occurrence; default for an
+ * occurrence ID), following (this and later ones, which become a new series) or all (the series).
+ *
+ * export <range> is today, tomorrow, week, next-week, month, next-month or <from>..<to>; it and
+ * import take --calendar <id> and --tz. import matches events by UID, so re-importing a file
+ * updates the events it created instead of duplicating them; it never emails guests.
+ *
+ * Commands that change events take --notify all|external|none (default all; quick sends no
+ * email unless given): who Google emails about the change. respond/invite/uninvite/move/cancel
+ * take --calendar <id> (default primary), and move takes --tz for <newStart>.
+ *
+ * NOTE: Delete is intentionally NOT supported for safety. cancel keeps the event, marked cancelled.
  *
  * JSON format for create/update:
  * {
@@ -30,13 +81,60 @@
 const fs = require('fs');
 const { google } = require('googleapis');
 const { getAuth } = require('./google-auth');
+const { parseOptions, positiveInt, splitList } = require('./cli-options');
+const {
+  MINUTE,
+  DAY,
+  checkTimeZone,
+  zonedParts,
+  zonedTime,
+  addDays,
+  formatInZone,
+  parseWhen,
+  namedRange,
+} = require('./time-zones');
+const { compactUtc, buildRRule, describeRecurrence, truncateRule } = require('./recurrence');
+const { buildCalendar, parseCalendar, toGoogleEvent } = require('./ical');
 
 const auth = getAuth();
 const calendar = google.calendar({ version: 'v3', auth });
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
+// --notify all|external|none as the API's sendUpdates value
+function sendUpdates(notify = 'all') {
+  const values = { all: 'all', external: 'externalOnly', none: 'none' };
+  if (!values[notify]) throw new Error('--notify must be all, external or none');
+  return values[notify];
+}
+
+// ── Time zones ───────────────────────────────────────────────────────────────
+
+/**
+ * Time zone to interpret dates in: --tz, then GOOGLE_CALENDAR_TIMEZONE, then the calendar's own
+ * setting, then the machine's (UTC in the container)
+ */
+async function resolveTimeZone(tz, calendarId = 'primary') {
+  if (tz) return checkTimeZone(tz);
+  if (process.env.GOOGLE_CALENDAR_TIMEZONE)
+    return checkTimeZone(process.env.GOOGLE_CALENDAR_TIMEZONE);
+  try {
+    const res = await calendar.calendarList.get({ calendarId });
+    if (res.data.timeZone) return res.data.timeZone;
+  } catch {
+    // Fall back to the machine's zone
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// ── Recurrence ───────────────────────────────────────────────────────────────
+
+const RECURRENCE_FLAGS = ['--every', '--interval', '--on', '--until', '--count'];
+
 function formatEvent(ev) {
+  const recurrence = ev.recurrence
+    ? { recurrence: describeRecurrence(ev.recurrence, ev.start?.timeZone), rrule: ev.recurrence }
+    : {};
   return {
     id: ev.id,
     summary: ev.summary,
@@ -53,26 +151,33 @@ function formatEvent(ev) {
     })),
     hangoutLink: ev.hangoutLink || '',
     recurringEventId: ev.recurringEventId || '',
+    ...recurrence,
   };
 }
 
-function startOfDay() {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
-  return d.toISOString();
+// Every page of an events.list query
+async function listAllEvents(params) {
+  const items = [];
+  let pageToken;
+  do {
+    const res = await calendar.events.list({ ...params, maxResults: 250, pageToken });
+    items.push(...(res.data.items || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+  return items;
 }
 
-function endOfDay() {
-  const d = new Date();
-  d.setHours(23, 59, 59, 999);
-  return d.toISOString();
-}
-
-function endOfWeek() {
-  const d = new Date();
-  d.setDate(d.getDate() + (7 - d.getDay()));
-  d.setHours(23, 59, 59, 999);
-  return d.toISOString();
+// All events overlapping [from, to), with times shown in the zone
+async function eventsBetween(from, to, timeZone, calendarId = 'primary') {
+  const items = await listAllEvents({
+    calendarId,
+    timeMin: from.toISOString(),
+    timeMax: to.toISOString(),
+    timeZone,
+    singleEvents: true,
+    orderBy: 'startTime',
+  });
+  return items.map(formatEvent);
 }
 
 // ── Commands ─────────────────────────────────────────────────────────────────
@@ -89,33 +194,77 @@ async function listEvents(maxResults = 10, calendarId = 'primary') {
   console.log(JSON.stringify(events, null, 2));
 }
 
-async function todayEvents(calendarId = 'primary') {
-  const res = await calendar.events.list({
-    calendarId,
-    timeMin: startOfDay(),
-    timeMax: endOfDay(),
-    singleEvents: true,
-    orderBy: 'startTime',
-  });
-  const events = (res.data.items || []).map(formatEvent);
-  console.log(JSON.stringify(events, null, 2));
+// today, tomorrow, week, next-week, month, next-month [calendarId] [--tz zone]
+async function rangeEvents(name, args) {
+  const options = parseOptions(args, ['--tz']);
+  const calendarId = options._[0] || 'primary';
+  const timeZone = await resolveTimeZone(options.tz, calendarId);
+  const { from, to } = namedRange(name, timeZone);
+  console.log(JSON.stringify(await eventsBetween(from, to, timeZone, calendarId), null, 2));
 }
 
-async function weekEvents(calendarId = 'primary') {
-  const res = await calendar.events.list({
-    calendarId,
-    timeMin: startOfDay(),
-    timeMax: endOfWeek(),
-    singleEvents: true,
-    orderBy: 'startTime',
-  });
-  const events = (res.data.items || []).map(formatEvent);
-  console.log(JSON.stringify(events, null, 2));
+async function eventsInRange(args) {
+  const options = parseOptions(args, ['--tz']);
+  const [fromArg, toArg, calendarId = 'primary'] = options._;
+  const timeZone = await resolveTimeZone(options.tz, calendarId);
+  const from = parseWhen(fromArg, timeZone);
+  const to = parseWhen(toArg, timeZone, true);
+  if (to <= from) throw new Error('<to> must be after <from>');
+  console.log(JSON.stringify(await eventsBetween(from, to, timeZone, calendarId), null, 2));
 }
 
 async function getEvent(eventId, calendarId = 'primary') {
   const res = await calendar.events.get({ calendarId, eventId });
-  console.log(JSON.stringify(formatEvent(res.data), null, 2));
+  const event = formatEvent(res.data);
+  // Occurrences don't carry the rule; describe it from the series
+  if (res.data.recurringEventId) {
+    const series = await calendar.events.get({ calendarId, eventId: res.data.recurringEventId });
+    if (series.data.recurrence) {
+      event.recurrence = describeRecurrence(series.data.recurrence, series.data.start?.timeZone);
+    }
+  }
+  console.log(JSON.stringify(event, null, 2));
+}
+
+async function listInstances(args) {
+  const options = parseOptions(args, ['--from', '--to', '--tz', '--max', '--calendar']);
+  const calendarId = options.calendar || 'primary';
+  let series = await fetchEvent(options._[0], calendarId);
+  if (series.recurringEventId) series = await fetchEvent(series.recurringEventId, calendarId);
+  if (!series.recurrence) throw new Error(`${options._[0]} is not a recurring event`);
+
+  const timeZone = await resolveTimeZone(options.tz, calendarId);
+  const max = positiveInt(options.max, '--max', 25);
+  const instances = [];
+  let pageToken;
+  do {
+    const res = await calendar.events.instances({
+      calendarId,
+      eventId: series.id,
+      timeMin: parseWhen(options.from || 'now', timeZone).toISOString(),
+      timeMax: options.to ? parseWhen(options.to, timeZone, true).toISOString() : undefined,
+      timeZone,
+      maxResults: Math.min(max - instances.length, 250),
+      pageToken,
+    });
+    for (const ev of res.data.items || []) {
+      const start = ev.start?.dateTime || ev.start?.date;
+      const original = ev.originalStartTime?.dateTime || ev.originalStartTime?.date;
+      instances.push({
+        id: ev.id,
+        start,
+        end: ev.end?.dateTime || ev.end?.date,
+        status: ev.status,
+        // Occurrences that were moved on their own
+        ...(original && Date.parse(original) !== Date.parse(start)
+          ? { originalStart: original }
+          : {}),
+      });
+    }
+    pageToken = res.data.nextPageToken;
+  } while (pageToken && instances.length < max);
+
+  console.log(JSON.stringify({ series: formatEvent(series), instances }, null, 2));
 }
 
 async function searchEvents(query, maxResults = 10, calendarId = 'primary') {
@@ -131,7 +280,17 @@ async function searchEvents(query, maxResults = 10, calendarId = 'primary') {
   console.log(JSON.stringify(events, null, 2));
 }
 
-async function createEvent(jsonPath, calendarId = 'primary') {
+async function insertEvent(eventData, calendarId = 'primary', notify = 'all') {
+  const res = await calendar.events.insert({
+    calendarId,
+    requestBody: eventData,
+    sendUpdates: sendUpdates(notify),
+  });
+  console.log('Event created:');
+  console.log(JSON.stringify(formatEvent(res.data), null, 2));
+}
+
+async function createEvent(jsonPath, calendarId = 'primary', options = {}) {
   let eventData;
   if (jsonPath === '-') {
     // Read from stdin
@@ -142,25 +301,33 @@ async function createEvent(jsonPath, calendarId = 'primary') {
     eventData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
   }
 
-  const res = await calendar.events.insert({
-    calendarId,
-    requestBody: eventData,
-    sendUpdates: 'all',
-  });
-  console.log('Event created:');
-  console.log(JSON.stringify(formatEvent(res.data), null, 2));
+  if (options.every) {
+    // Google requires a time zone on recurring timed events
+    if (eventData.start?.dateTime && !eventData.start.timeZone) {
+      const timeZone = await resolveTimeZone(options.tz, calendarId);
+      eventData.start.timeZone = timeZone;
+      if (eventData.end) eventData.end.timeZone = eventData.end.timeZone || timeZone;
+    }
+    eventData.recurrence = [buildRRule(options, eventData.start || {})];
+  } else if (RECURRENCE_FLAGS.some((flag) => options[flag.slice(2)])) {
+    throw new Error('Recurrence options need --every');
+  }
+
+  await insertEvent(eventData, calendarId, options.notify);
 }
 
-async function quickAdd(text, calendarId = 'primary') {
+// Guests named in the text are only emailed when --notify asks for it
+async function quickAdd(text, calendarId = 'primary', notify) {
   const res = await calendar.events.quickAdd({
     calendarId,
     text,
+    sendUpdates: notify === undefined ? undefined : sendUpdates(notify),
   });
   console.log('Event created:');
   console.log(JSON.stringify(formatEvent(res.data), null, 2));
 }
 
-async function updateEvent(eventId, jsonPath, calendarId = 'primary') {
+async function updateEvent(eventId, jsonPath, calendarId = 'primary', options = {}) {
   let patchData;
   if (jsonPath === '-') {
     const chunks = [];
@@ -170,16 +337,337 @@ async function updateEvent(eventId, jsonPath, calendarId = 'primary') {
     patchData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
   }
 
+  await changeScoped(eventId, patchData, { ...options, calendar: calendarId }, 'updated');
+}
+
+async function patchEvent(eventId, patch, { calendar: calendarId = 'primary', notify }, verb) {
   const res = await calendar.events.patch({
     calendarId,
     eventId,
-    requestBody: patchData,
-    sendUpdates: 'all',
+    requestBody: patch,
+    sendUpdates: sendUpdates(notify),
   });
-  console.log('Event updated:');
+  console.log(`Event ${verb}:`);
   console.log(JSON.stringify(formatEvent(res.data), null, 2));
 }
 
+// ── Invitations and rescheduling ─────────────────────────────────────────────
+
+const CHANGE_FLAGS = ['--calendar', '--notify'];
+const RESPONSES = ['accepted', 'declined', 'tentative'];
+
+async function fetchEvent(eventId, calendarId = 'primary') {
+  const res = await calendar.events.get({ calendarId, eventId });
+  return res.data;
+}
+
+async function respondToEvent(args) {
+  const options = parseOptions(args, [...CHANGE_FLAGS, '--comment']);
+  const [eventId, response] = options._;
+  if (!RESPONSES.includes(response)) {
+    throw new Error(`Response must be one of ${RESPONSES.join(', ')}`);
+  }
+  const event = await fetchEvent(eventId, options.calendar);
+  const attendees = event.attendees || [];
+  if (!attendees.some((a) => a.self)) {
+    throw new Error("You're not a guest of this event, so there is no invitation to answer");
+  }
+  const updated = attendees.map((a) =>
+    a.self
+      ? {
+          ...a,
+          responseStatus: response,
+          ...(options.comment !== undefined ? { comment: options.comment } : {}),
+        }
+      : a
+  );
+  await patchEvent(eventId, { attendees: updated }, options, response);
+}
+
+async function inviteGuests(args) {
+  const options = parseOptions(args, CHANGE_FLAGS, ['--optional']);
+  const [eventId, ...rest] = options._;
+  const emails = rest.flatMap(splitList);
+  if (emails.length === 0) throw new Error('Give at least one email to invite');
+
+  const event = await fetchEvent(eventId, options.calendar);
+  const attendees = event.attendees || [];
+  const known = new Set(attendees.map((a) => a.email.toLowerCase()));
+  const added = emails.filter((email) => !known.has(email.toLowerCase()));
+  if (added.length === 0) throw new Error('Everyone given is already invited');
+
+  const guests = added.map((email) => ({ email, ...(options.optional ? { optional: true } : {}) }));
+  await patchEvent(eventId, { attendees: [...attendees, ...guests] }, options, 'updated');
+}
+
+async function uninviteGuests(args) {
+  const options = parseOptions(args, CHANGE_FLAGS);
+  const [eventId, ...rest] = options._;
+  const emails = new Set(rest.flatMap(splitList).map((e) => e.toLowerCase()));
+  if (emails.size === 0) throw new Error('Give at least one email to remove');
+
+  const event = await fetchEvent(eventId, options.calendar);
+  const attendees = event.attendees || [];
+  const remaining = attendees.filter((a) => !emails.has(a.email.toLowerCase()));
+  if (remaining.length === attendees.length)
+    throw new Error('None of these are guests of the event');
+
+  await patchEvent(eventId, { attendees: remaining }, options, 'updated');
+}
+
+async function moveEvent(args) {
+  const options = parseOptions(args, [...CHANGE_FLAGS, '--tz']);
+  const [eventId, newStart] = options._;
+  const event = await fetchEvent(eventId, options.calendar);
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(newStart);
+  let patch;
+
+  if (event.start.date) {
+    // All-day events move by whole days
+    if (!dateOnly) throw new Error('This is an all-day event; give the new start as YYYY-MM-DD');
+    const days = Math.round((Date.parse(event.end.date) - Date.parse(event.start.date)) / DAY);
+    const [year, month, day] = newStart.split('-').map(Number);
+    const end = addDays({ year, month, day }, days);
+    const pad = (n) => String(n).padStart(2, '0');
+    patch = {
+      start: { date: newStart },
+      end: { date: `${end.year}-${pad(end.month)}-${pad(end.day)}` },
+    };
+  } else {
+    const timeZone = options.tz
+      ? checkTimeZone(options.tz)
+      : event.start.timeZone || (await resolveTimeZone(undefined, options.calendar));
+    const oldStart = new Date(event.start.dateTime);
+    const duration = new Date(event.end.dateTime) - oldStart;
+    let start;
+    if (dateOnly) {
+      // Same time of day on the new date
+      const [year, month, day] = newStart.split('-').map(Number);
+      const { hour, minute } = zonedParts(oldStart, timeZone);
+      start = zonedTime({ year, month, day, hour, minute }, timeZone);
+    } else {
+      start = parseWhen(newStart, timeZone);
+    }
+    const end = new Date(start.getTime() + duration);
+    patch = {
+      start: { dateTime: formatInZone(start, timeZone), timeZone },
+      end: { dateTime: formatInZone(end, timeZone), timeZone },
+    };
+  }
+  await patchEvent(eventId, patch, options, 'moved');
+}
+
+async function cancelEvent(args) {
+  const options = parseOptions(args, [...CHANGE_FLAGS, '--scope']);
+  await changeScoped(options._[0], { status: 'cancelled' }, options, 'cancelled');
+}
+
+// ── Recurring changes ────────────────────────────────────────────────────────
+
+// Fields a single occurrence can change without changing its series
+const EXCEPTION_FIELDS = ['summary', 'description', 'location'];
+const SCOPES = ['this', 'following', 'all'];
+
+/**
+ * Apply a patch to one occurrence, this and following occurrences, or a whole series
+ * @param {string} eventId - Series or occurrence ID
+ * @param {object} patch - Event fields to change
+ * @param {{calendar?: string, notify?: string, scope?: string}} options
+ * @param {string} verb - For the output line, e.g. "updated"
+ */
+async function changeScoped(eventId, patch, options, verb) {
+  const { scope } = options;
+  if (scope && !SCOPES.includes(scope)) throw new Error('--scope must be this, following or all');
+  if (!scope) return patchEvent(eventId, patch, options, verb);
+
+  const event = await fetchEvent(eventId, options.calendar);
+  if (!event.recurringEventId) {
+    if (event.recurrence && scope !== 'all') {
+      throw new Error(
+        `${eventId} is the whole series; pass an occurrence ID from \`instances\` with --scope ${scope}`
+      );
+    }
+    return patchEvent(eventId, patch, options, verb);
+  }
+  if (scope === 'this') return patchEvent(eventId, patch, options, verb);
+  if (scope === 'all') return patchEvent(event.recurringEventId, patch, options, verb);
+  return splitSeries(event, patch, options, verb);
+}
+
+async function listAllInstances(params) {
+  const items = [];
+  let pageToken;
+  do {
+    const res = await calendar.events.instances({ ...params, maxResults: 2500, pageToken });
+    items.push(...(res.data.items || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+  return items;
+}
+
+function eventInstant(time) {
+  return new Date(time.dateTime || `${time.date}T00:00:00Z`);
+}
+
+function dateOnly({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// An occurrence that was cancelled, moved or edited on its own
+function isException(instance, series) {
+  if (instance.status === 'cancelled') return true;
+  if (+eventInstant(instance.start) !== +eventInstant(instance.originalStartTime)) return true;
+  return EXCEPTION_FIELDS.some((field) => (instance[field] || '') !== (series[field] || ''));
+}
+
+// Carry an old occurrence's own edits over to the new series; the patch wins where both apply
+function exceptionOverride(exception, series, patch) {
+  if (exception.status === 'cancelled') return { status: 'cancelled' };
+  const override = {};
+  for (const field of EXCEPTION_FIELDS) {
+    if (!(field in patch) && (exception[field] || '') !== (series[field] || '')) {
+      override[field] = exception[field] || '';
+    }
+  }
+  const moved = +eventInstant(exception.start) !== +eventInstant(exception.originalStartTime);
+  if (moved && !('start' in patch) && !('end' in patch)) {
+    override.start = exception.start;
+    override.end = exception.end;
+  }
+  return override;
+}
+
+// End the series before this occurrence and continue it as a new series with the patch applied
+async function splitSeries(occurrence, patch, options, verb) {
+  const calendarId = options.calendar || 'primary';
+  const series = await fetchEvent(occurrence.recurringEventId, calendarId);
+  const original = occurrence.originalStartTime;
+  const allDay = !!original.date;
+  const splitAt = eventInstant(original);
+
+  // Changing from the first occurrence on is the same as changing the series
+  if (splitAt <= eventInstant(series.start)) return patchEvent(series.id, patch, options, verb);
+
+  const until = allDay
+    ? dateOnly(addDays(zonedParts(splitAt, 'UTC'), -1)).replace(/-/g, '')
+    : compactUtc(new Date(splitAt.getTime() - 1000));
+  // Occurrences from the split on that were edited on their own, this one included
+  const exceptions = (
+    await listAllInstances({
+      calendarId,
+      eventId: series.id,
+      timeMin: splitAt.toISOString(),
+      showDeleted: true,
+    })
+  ).filter((i) => eventInstant(i.originalStartTime) >= splitAt && isException(i, series));
+
+  let following = null;
+  let migrated = 0;
+  if (patch.status !== 'cancelled') {
+    // A COUNT rule continues with whatever occurrences are left
+    let rules = series.recurrence;
+    const countRule = rules.find((r) => r.startsWith('RRULE:') && /;?COUNT=\d+/.test(r));
+    if (countRule) {
+      const done = (
+        await listAllInstances({
+          calendarId,
+          eventId: series.id,
+          timeMax: splitAt.toISOString(),
+          showDeleted: true,
+        })
+      ).length;
+      const total = Number(countRule.match(/COUNT=(\d+)/)[1]);
+      rules = rules.map((r) =>
+        r === countRule ? r.replace(/COUNT=\d+/, `COUNT=${Math.max(total - done, 1)}`) : r
+      );
+    }
+
+    // Start at the occurrence's scheduled time, not where it may have been moved to
+    const duration = eventInstant(series.end) - eventInstant(series.start);
+    const timeZone = series.start.timeZone;
+    const start = allDay ? { date: original.date } : { dateTime: original.dateTime, timeZone };
+    const end = allDay
+      ? { date: dateOnly(addDays(zonedParts(splitAt, 'UTC'), Math.round(duration / DAY))) }
+      : {
+          dateTime: timeZone
+            ? formatInZone(new Date(splitAt.getTime() + duration), timeZone)
+            : new Date(splitAt.getTime() + duration).toISOString(),
+          timeZone: series.end.timeZone || timeZone,
+        };
+
+    const { id, iCalUID, etag, htmlLink, created, updated, sequence, organizer, creator, ...copy } =
+      series;
+    following = (
+      await calendar.events.insert({
+        calendarId,
+        requestBody: { ...copy, start, end, recurrence: rules, ...patch },
+        sendUpdates: sendUpdates(options.notify),
+      })
+    ).data;
+
+    if (exceptions.length) {
+      const instances = await listAllInstances({
+        calendarId,
+        eventId: following.id,
+        timeMin: splitAt.toISOString(),
+      });
+      const byStart = new Map(instances.map((i) => [+eventInstant(i.originalStartTime), i]));
+      for (const exception of exceptions) {
+        const target = byStart.get(+eventInstant(exception.originalStartTime));
+        const override = target && exceptionOverride(exception, series, patch);
+        if (!override || !Object.keys(override).length) continue;
+        await calendar.events.patch({
+          calendarId,
+          eventId: target.id,
+          requestBody: override,
+          sendUpdates: sendUpdates(options.notify),
+        });
+        migrated++;
+      }
+    }
+  }
+
+  // The old series' own edits past the end would otherwise linger as stray occurrences;
+  // guests only hear about it when the occurrences are really going away
+  for (const exception of exceptions) {
+    if (exception.status === 'cancelled') continue;
+    await calendar.events.patch({
+      calendarId,
+      eventId: exception.id,
+      requestBody: { status: 'cancelled' },
+      sendUpdates: following ? 'none' : sendUpdates(options.notify),
+    });
+  }
+
+  const previous = (
+    await calendar.events.patch({
+      calendarId,
+      eventId: series.id,
+      requestBody: {
+        recurrence: series.recurrence.map((r) =>
+          r.startsWith('RRULE:') ? truncateRule(r, until) : r
+        ),
+      },
+      sendUpdates: sendUpdates(options.notify),
+    })
+  ).data;
+
+  console.log(`Series split; following occurrences ${verb}:`);
+  console.log(
+    JSON.stringify(
+      {
+        previous: formatEvent(previous),
+        ...(following ? { following: formatEvent(following) } : {}),
+        ...(exceptions.length
+          ? { exceptions: exceptions.length, exceptionsMigrated: migrated }
+          : {}),
+      },
+      null,
+      2
+    )
+  );
+}
+
 async function listCalendars() {
   const res = await calendar.calendarList.list();
   const cals = (res.data.items || []).map((c) => ({
@@ -192,6 +680,337 @@ async function listCalendars() {
   console.log(JSON.stringify(cals, null, 2));
 }
 
+// ── iCalendar ────────────────────────────────────────────────────────────────
+
+// <range> for export: a named range or <from>..<to>
+function exportRange(range, timeZone) {
+  if (range.includes('..')) {
+    const [from, to] = range.split('..');
+    return { from: parseWhen(from, timeZone), to: parseWhen(to, timeZone, true) };
+  }
+  return namedRange(range, timeZone);
+}
+
+async function exportEvents(args) {
+  const options = parseOptions(args, ['--calendar', '--tz']);
+  const [range, output] = options._;
+  const calendarId = options.calendar || 'primary';
+  const timeZone = await resolveTimeZone(options.tz, calendarId);
+  const { from, to } = exportRange(range, timeZone);
+  if (to <= from) throw new Error('The range ends before it starts');
+
+  const items = await listAllEvents({
+    calendarId,
+    timeMin: from.toISOString(),
+    timeMax: to.toISOString(),
+    timeZone,
+    singleEvents: false,
+    showDeleted: true,
+  });
+  const ics = buildCalendar(items, timeZone);
+  if (!output || output === '-') {
+    process.stdout.write(ics);
+  } else {
+    fs.writeFileSync(output, ics);
+    const count = items.filter((ev) => ev.status !== 'cancelled').length;
+    console.log(`Exported ${count} event(s) to ${output}`);
+  }
+}
+
+async function importEvents(args) {
+  const options = parseOptions(args, ['--calendar', '--tz'], ['--dry-run']);
+  const [file] = options._;
+  const calendarId = options.calendar || 'primary';
+  let text;
+  if (file === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks).toString('utf8');
+  } else {
+    text = fs.readFileSync(file, 'utf8');
+  }
+
+  const { method, events } = parseCalendar(text);
+  if (events.length === 0) throw new Error('No VEVENT found in the file');
+  const timeZone = await resolveTimeZone(options.tz, calendarId);
+  const warnings = new Set();
+  const results = [];
+
+  // Series first, so changed occurrences have something to attach to
+  const parsed = events
+    .map((props) => {
+      try {
+        return { event: toGoogleEvent(props, method, timeZone, warnings) };
+      } catch (err) {
+        return { error: err.message };
+      }
+    })
+    .sort((a, b) => !!a.event?.originalStartTime - !!b.event?.originalStartTime);
+
+  for (const { event, error } of parsed) {
+    if (error) {
+      results.push({ action: 'failed', error });
+      continue;
+    }
+    const summary = {
+      uid: event.iCalUID,
+      summary: event.summary,
+      start: event.start.dateTime || event.start.date,
+    };
+    try {
+      const existing = await calendar.events.list({
+        calendarId,
+        iCalUID: event.iCalUID,
+        showDeleted: true,
+      });
+      const original = event.originalStartTime;
+      const match = (existing.data.items || []).find((ev) =>
+        original
+          ? Date.parse(ev.originalStartTime?.dateTime || ev.originalStartTime?.date) ===
+            Date.parse(original.dateTime || original.date)
+          : !ev.recurringEventId
+      );
+      const action = match ? 'updated' : 'created';
+      if (options['dry-run']) {
+        results.push({ ...summary, action: match ? 'would update' : 'would create' });
+        continue;
+      }
+      const res = await calendar.events.import({ calendarId, requestBody: event });
+      results.push({ ...summary, action, id: res.data.id });
+    } catch (err) {
+      results.push({ ...summary, action: 'failed', error: err.message });
+    }
+  }
+
+  const count = (action) => results.filter((r) => r.action === action).length;
+  console.log(
+    JSON.stringify(
+      {
+        calendarId,
+        ...(options['dry-run']
+          ? { dryRun: true }
+          : { created: count('created'), updated: count('updated') }),
+        failed: count('failed'),
+        events: results,
+        ...(warnings.size ? { warnings: [...warnings] } : {}),
+      },
+      null,
+      2
+    )
+  );
+}
+
+// ── Free/busy ────────────────────────────────────────────────────────────────
+
+const RANGE_FLAGS = ['--from', '--to', '--days', '--tz'];
+
+// Resolve --from/--to/--days/--tz into a time range
+async function resolveRange(options) {
+  const timeZone = await resolveTimeZone(options.tz);
+  const from = parseWhen(options.from || 'now', timeZone);
+  const to = options.to
+    ? parseWhen(options.to, timeZone, true)
+    : new Date(from.getTime() + positiveInt(options.days, '--days', 7) * DAY);
+  if (to <= from) throw new Error('--to must be after --from');
+  return { timeZone, from, to };
+}
+
+// Busy intervals per calendar, plus the calendars whose availability couldn't be read
+async function queryFreeBusy(ids, from, to, timeZone) {
+  const res = await calendar.freebusy.query({
+    requestBody: {
+      timeMin: from.toISOString(),
+      timeMax: to.toISOString(),
+      timeZone,
+      items: ids.map((id) => ({ id })),
+    },
+  });
+  const calendars = res.data.calendars || {};
+  return ids.map((id) => {
+    const entry = calendars[id] || {};
+    return {
+      id,
+      busy: (entry.busy || []).map((b) => ({ start: new Date(b.start), end: new Date(b.end) })),
+      errors: (entry.errors || []).map((e) => e.reason),
+    };
+  });
+}
+
+async function freeBusy(args) {
+  const options = parseOptions(args, RANGE_FLAGS);
+  const ids = options._.flatMap(splitList);
+  if (ids.length === 0) ids.push('primary');
+  const { timeZone, from, to } = await resolveRange(options);
+
+  const results = await queryFreeBusy(ids, from, to, timeZone);
+  console.log(
+    JSON.stringify(
+      {
+        timeZone,
+        from: formatInZone(from, timeZone),
+        to: formatInZone(to, timeZone),
+        calendars: results.map(({ id, busy, errors }) => ({
+          id,
+          busy: busy.map((b) => ({
+            start: formatInZone(b.start, timeZone),
+            end: formatInZone(b.end, timeZone),
+          })),
+          ...(errors.length ? { errors } : {}),
+        })),
+      },
+      null,
+      2
+    )
+  );
+}
+
+// Sort and merge overlapping intervals
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+  return merged;
+}
+
+function overlaps(busy, start, end) {
+  return busy.some((b) => b.start < end && b.end > start);
+}
+
+function parseHours(value) {
+  const match = (value || '09:00-17:00').match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error('--hours must look like 09:00-17:00');
+  const [, sh, sm, eh, em] = match.map(Number);
+  const start = sh * 60 + sm;
+  const end = eh * 60 + em;
+  if (end <= start || end > 24 * 60)
+    throw new Error('--hours end must be after start, within the day');
+  return { start, end };
+}
+
+/**
+ * Rank a free candidate slot; higher is better
+ *
+ * Prefers sooner days, round start times, a free buffer on either side, and
+ * avoids the first and last hour of the working day.
+ */
+function scoreSlot(slot, busy, dayIndex, minuteOfDay, hours, duration) {
+  let score = 10 - dayIndex;
+  if (minuteOfDay % 60 === 0) score += 2;
+  else if (minuteOfDay % 30 === 0) score += 1;
+  if (!overlaps(busy, new Date(slot.start - 15 * MINUTE), slot.start)) score += 1;
+  if (!overlaps(busy, slot.end, new Date(slot.end.getTime() + 15 * MINUTE))) score += 1;
+  if (minuteOfDay < hours.start + 60 || minuteOfDay + duration > hours.end - 60) score -= 1;
+  return score;
+}
+
+async function findSlot(args) {
+  const options = parseOptions(
+    args,
+    [
+      ...RANGE_FLAGS,
+      '--duration',
+      '--attendees',
+      '--hours',
+      '--step',
+      '--limit',
+      '--summary',
+      '--description',
+      '--location',
+      '--notify',
+    ],
+    ['--weekends', '--create']
+  );
+  const duration = positiveInt(options.duration, '--duration', undefined);
+  if (!duration) throw new Error('--duration <minutes> is required');
+  const attendees = splitList(options.attendees);
+  const hours = parseHours(options.hours);
+  const step = positiveInt(options.step, '--step', 15);
+  const limit = positiveInt(options.limit, '--limit', 5);
+  if (options.create && !options.summary) throw new Error('--create needs --summary');
+  const { timeZone, from, to } = await resolveRange(options);
+
+  const results = await queryFreeBusy(['primary', ...attendees], from, to, timeZone);
+  const unavailable = results.filter((r) => r.errors.length).map((r) => r.id);
+  const busy = mergeIntervals(results.flatMap((r) => r.busy));
+
+  // Walk each day's working hours in the target zone
+  const earliest = new Date(Math.max(from.getTime(), Date.now()));
+  const candidates = [];
+  const firstDay = zonedParts(from, timeZone);
+  for (let dayIndex = 0; ; dayIndex++) {
+    const date = addDays(firstDay, dayIndex);
+    const dayStart = zonedTime(date, timeZone);
+    if (dayStart >= to) break;
+    const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+    if (!options.weekends && (weekday === 0 || weekday === 6)) continue;
+
+    for (let minute = hours.start; minute + duration <= hours.end; minute += step) {
+      const start = zonedTime(
+        { ...date, hour: Math.floor(minute / 60), minute: minute % 60 },
+        timeZone
+      );
+      const end = new Date(start.getTime() + duration * MINUTE);
+      if (start < earliest || end > to || overlaps(busy, start, end)) continue;
+      const slot = { start, end };
+      slot.score = scoreSlot(slot, busy, dayIndex, minute, hours, duration);
+      slot.day = dayIndex;
+      candidates.push(slot);
+    }
+  }
+
+  // Best first, at most two per day so the options are spread out, then fill up with the rest
+  const ranked = candidates.sort((a, b) => b.score - a.score || a.start - b.start);
+  const perDay = new Map();
+  const spread = ranked.filter((slot) => {
+    const count = perDay.get(slot.day) || 0;
+    perDay.set(slot.day, count + 1);
+    return count < 2;
+  });
+  const slots = [...spread, ...ranked.filter((slot) => !spread.includes(slot))]
+    .slice(0, limit)
+    .map((slot) => ({
+      start: formatInZone(slot.start, timeZone),
+      end: formatInZone(slot.end, timeZone),
+    }));
+
+  const result = {
+    timeZone,
+    duration,
+    attendees,
+    slots,
+    ...(unavailable.length
+      ? {
+          unavailable,
+          note: 'Free/busy not visible for these; their conflicts are not considered.',
+        }
+      : {}),
+  };
+  console.log(JSON.stringify(result, null, 2));
+
+  if (options.create) {
+    if (slots.length === 0) throw new Error('No free slot found; nothing created');
+    await insertEvent(
+      {
+        summary: options.summary,
+        description: options.description,
+        location: options.location,
+        start: { dateTime: slots[0].start, timeZone },
+        end: { dateTime: slots[0].end, timeZone },
+        attendees: attendees.map((email) => ({ email })),
+      },
+      'primary',
+      options.notify
+    );
+  }
+}
+
 // ── CLI ──────────────────────────────────────────────────────────────────────
 
 const [, , command, ...args] = process.argv;
@@ -203,10 +1022,19 @@ const [, , command, ...args] = process.argv;
         await listEvents(args[0], args[1]);
         break;
       case 'today':
-        await todayEvents(args[0]);
-        break;
+      case 'tomorrow':
       case 'week':
-        await weekEvents(args[0]);
+      case 'next-week':
+      case 'month':
+      case 'next-month':
+        await rangeEvents(command, args);
+        break;
+      case 'range':
+        if (!args[0] || !args[1] || args[0].startsWith('--') || args[1].startsWith('--')) {
+          console.error('Usage: calendar.js range <from> <to> [calendarId] [--tz zone]');
+          process.exit(1);
+        }
+        await eventsInRange(args);
         break;
       case 'get':
         if (!args[0]) {
@@ -222,42 +1050,139 @@ const [, , command, ...args] = process.argv;
         }
         await searchEvents(args[0], args[1], args[2]);
         break;
-      case 'create':
-        if (!args[0]) {
-          console.error('Usage: calendar.js create <jsonFile|-> [calendarId]');
+      case 'create': {
+        const options = parseOptions(args, ['--notify', '--tz', ...RECURRENCE_FLAGS]);
+        if (!options._[0]) {
+          console.error(
+            'Usage: calendar.js create <jsonFile|-> [calendarId] [--notify all|external|none]\n' +
+              '  [--every daily|weekly|weekdays|monthly|yearly [--interval N] [--on MO,WE]\n' +
+              '   [--until YYYY-MM-DD | --count N]]'
+          );
           process.exit(1);
         }
-        await createEvent(args[0], args[1]);
+        await createEvent(options._[0], options._[1], options);
         break;
-      case 'quick':
-        if (!args[0]) {
-          console.error('Usage: calendar.js quick "<text>" [calendarId]');
+      }
+      case 'quick': {
+        const { _: rest, notify } = parseOptions(args, ['--notify']);
+        if (!rest[0]) {
+          console.error('Usage: calendar.js quick "<text>" [--notify all|external|none]');
+          process.exit(1);
+        }
+        await quickAdd(rest.join(' '), 'primary', notify);
+        break;
+      }
+      case 'update': {
+        const options = parseOptions(args, ['--notify', '--scope']);
+        if (!options._[0] || !options._[1]) {
+          console.error(
+            'Usage: calendar.js update <eventId> <jsonFile|-> [calendarId]\n' +
+              '  [--scope this|following|all] [--notify all|external|none]'
+          );
+          process.exit(1);
+        }
+        await updateEvent(options._[0], options._[1], options._[2], options);
+        break;
+      }
+      case 'instances':
+        if (!args[0] || args[0].startsWith('--')) {
+          console.error(
+            'Usage: calendar.js instances <eventId> [--from <when>] [--to <when>] [--max 25]'
+          );
           process.exit(1);
         }
-        await quickAdd(args.join(' '));
+        await listInstances(args);
         break;
-      case 'update':
+      case 'respond':
         if (!args[0] || !args[1]) {
-          console.error('Usage: calendar.js update <eventId> <jsonFile|-> [calendarId]');
+          console.error(
+            'Usage: calendar.js respond <eventId> accepted|declined|tentative [--comment <text>]'
+          );
           process.exit(1);
         }
-        await updateEvent(args[0], args[1], args[2]);
+        await respondToEvent(args);
+        break;
+      case 'invite':
+      case 'uninvite':
+        if (!args[0] || !args[1]) {
+          console.error(`Usage: calendar.js ${command} <eventId> <email> [email...]`);
+          process.exit(1);
+        }
+        await (command === 'invite' ? inviteGuests(args) : uninviteGuests(args));
+        break;
+      case 'move':
+        if (!args[0] || !args[1]) {
+          console.error('Usage: calendar.js move <eventId> <newStart> [--tz zone]');
+          process.exit(1);
+        }
+        await moveEvent(args);
+        break;
+      case 'cancel':
+        if (!args[0]) {
+          console.error(
+            'Usage: calendar.js cancel <eventId> [--scope this|following|all] [--notify all|external|none]'
+          );
+          process.exit(1);
+        }
+        await cancelEvent(args);
+        break;
+      case 'export':
+        if (!args[0] || args[0].startsWith('--')) {
+          console.error(
+            'Usage: calendar.js export <today|week|next-week|month|...|from..to> [out.ics] [--tz zone]'
+          );
+          process.exit(1);
+        }
+        await exportEvents(args);
+        break;
+      case 'import':
+        if (!args[0] || args[0].startsWith('--')) {
+          console.error('Usage: calendar.js import <file.ics|-> [--calendar id] [--dry-run]');
+          process.exit(1);
+        }
+        await importEvents(args);
         break;
       case 'calendars':
         await listCalendars();
         break;
+      case 'freebusy':
+        await freeBusy(args);
+        break;
+      case 'find-slot':
+        await findSlot(args);
+        break;
       default:
         console.error('Calendar Helper — Read + Write (No Delete)');
-        console.error('Commands: list, today, week, get, search, create, quick, update, calendars');
+        console.error(
+          'Commands: list, today, tomorrow, week, next-week, month, next-month, range, get,' +
+            ' instances, search, create, quick, update, respond, invite, uninvite, move, cancel,' +
+            ' export, import, calendars, freebusy, find-slot'
+        );
         console.error('Examples:');
         console.error('  node calendar.js today');
-        console.error('  node calendar.js week');
+        console.error('  node calendar.js week --tz America/New_York');
+        console.error('  node calendar.js range 2026-02-10 2026-02-14');
         console.error('  node calendar.js list 20');
         console.error('  node calendar.js search "standup" 5');
         console.error('  node calendar.js quick "Lunch with Alice tomorrow at noon"');
         console.error('  node calendar.js create event.json');
-        console.error('  node calendar.js update abc123 patch.json');
+        console.error(
+          '  node calendar.js create event.json --every weekly --on MO,WE --until 2027-01-01'
+        );
+        console.error(
+          '  node calendar.js update abc123_20260210T170000Z patch.json --scope following'
+        );
+        console.error('  node calendar.js update abc123 patch.json --notify none');
+        console.error('  node calendar.js respond abc123 declined --comment "On leave"');
+        console.error('  node calendar.js invite abc123 carol@example.com');
+        console.error('  node calendar.js move abc123 2026-02-12T15:00');
+        console.error('  node calendar.js export next-week /tmp/next-week.ics');
+        console.error('  node calendar.js import /tmp/invite.ics --dry-run');
         console.error('  node calendar.js calendars');
+        console.error('  node calendar.js freebusy alice@example.com,bob@example.com --days 3');
+        console.error(
+          '  node calendar.js find-slot --duration 30 --attendees alice@example.com --tz Europe/Berlin'
+        );
         process.exit(1);
     }
   } catch (err) {
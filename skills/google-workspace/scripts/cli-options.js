@@ -0,0 +1,56 @@
+/**
+ * Google Workspace - Shared Command-Line Options
+ *
+ * Splits a script's arguments into positionals and --flag values. Only the flags a
+ * command names are accepted; anything else starting with -- is an error.
+ *
+ *   valueFlags    --flag <value>, the last one wins
+ *   booleanFlags  --flag on its own, set to true
+ *   listFlags     --flag <value>, may repeat; collected into an array in order
+ *
+ * positiveInt and splitList read the values of numeric and comma-separated flags.
+ *
+ * Usage:
+ *   const { parseOptions } = require('./cli-options');
+ *   const options = parseOptions(args, ['--max'], ['--all'], ['--where']);
+ *   // options._ holds the positionals, options.max / options.all / options.where the flags
+ */
+
+function parseOptions(args, valueFlags = [], booleanFlags = [], listFlags = []) {
+  const options = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (booleanFlags.includes(arg)) {
+      options[arg.slice(2)] = true;
+    } else if (listFlags.includes(arg)) {
+      if (args[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      (options[arg.slice(2)] = options[arg.slice(2)] || []).push(args[++i]);
+    } else if (valueFlags.includes(arg)) {
+      if (args[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      options[arg.slice(2)] = args[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options._.push(arg);
+    }
+  }
+  return options;
+}
+
+// A numeric option that must be above zero; fallback when it wasn't given
+function positiveInt(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const n = parseInt(value, 10);
+  if (!(n > 0)) throw new Error(`${name} must be a positive number`);
+  return n;
+}
+
+// "a, b,,c" → ['a', 'b', 'c']
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+module.exports = { parseOptions, positiveInt, splitList };
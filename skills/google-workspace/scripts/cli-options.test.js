@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { parseOptions, positiveInt, splitList } from './cli-options';
+
+describe('parseOptions', () => {
+  it('collects positionals in order', () => {
+    expect(parseOptions(['a', 'b'])).toEqual({ _: ['a', 'b'] });
+  });
+
+  it('reads value flags, the last one winning', () => {
+    const options = parseOptions(['id', '--max', '5', '--max', '10'], ['--max']);
+    expect(options).toEqual({ _: ['id'], max: '10' });
+  });
+
+  it('sets boolean flags to true', () => {
+    expect(parseOptions(['--all', 'x'], [], ['--all'])).toEqual({ _: ['x'], all: true });
+  });
+
+  it('collects repeated list flags', () => {
+    const options = parseOptions(['--where', 'A=1', '--where', 'B~x,y'], [], [], ['--where']);
+    expect(options.where).toEqual(['A=1', 'B~x,y']);
+  });
+
+  it('keeps values that look like flags after a value flag', () => {
+    expect(parseOptions(['--body', '--not-a-flag'], ['--body']).body).toBe('--not-a-flag');
+  });
+
+  it('rejects unknown flags', () => {
+    expect(() => parseOptions(['--bogus'], ['--max'])).toThrow('Unknown option --bogus');
+  });
+
+  it('rejects a value flag without a value', () => {
+    expect(() => parseOptions(['--max'], ['--max'])).toThrow('--max needs a value');
+    expect(() => parseOptions(['--where'], [], [], ['--where'])).toThrow('--where needs a value');
+  });
+});
+
+describe('positiveInt', () => {
+  it('returns the fallback when the flag was not given', () => {
+    expect(positiveInt(undefined, '--max', 25)).toBe(25);
+  });
+
+  it('reads whole numbers', () => {
+    expect(positiveInt('10', '--max')).toBe(10);
+  });
+
+  it('rejects zero, negatives and text', () => {
+    for (const value of ['0', '-3', 'abc', '']) {
+      expect(() => positiveInt(value, '--max', 25)).toThrow('--max must be a positive number');
+    }
+  });
+});
+
+describe('splitList', () => {
+  it('splits on commas and drops blanks', () => {
+    expect(splitList(' a@x.com, b@x.com,,c ')).toEqual(['a@x.com', 'b@x.com', 'c']);
+  });
+
+  it('returns nothing for a missing value', () => {
+    expect(splitList(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Google Workspace - Drive Query Builder
+ *
+ * Builds the q parameter for drive.files.list. Every value goes through quoteQuery, so
+ * names with quotes or backslashes can't break out of their string literal.
+ *
+ * Filters (all optional; trashed files are always left out):
+ *   name, nameContains, text (name or contents), mimeTypes (any of), parent (folder ID),
+ *   owner (email), modifiedAfter (RFC 3339 time), sharedWithMe, starred
+ *
+ * Usage:
+ *   const { driveQuery } = require('./drive-query');
+ *   drive.files.list({ q: driveQuery({ parent: folderId, name: 'Reports' }) });
+ */
+
+// A string literal in Drive's query language: backslashes first, then quotes
+function quoteQuery(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// Every Drive lookup goes through here so values are always quoted the same way
+function driveQuery(filters = {}) {
+  const clauses = ['trashed = false'];
+  if (filters.name !== undefined) clauses.push(`name = ${quoteQuery(filters.name)}`);
+  if (filters.nameContains) clauses.push(`name contains ${quoteQuery(filters.nameContains)}`);
+  if (filters.text) {
+    const text = quoteQuery(filters.text);
+    clauses.push(`(name contains ${text} or fullText contains ${text})`);
+  }
+  if (filters.mimeTypes?.length) {
+    clauses.push(`(${filters.mimeTypes.map((m) => `mimeType = ${quoteQuery(m)}`).join(' or ')})`);
+  }
+  if (filters.parent) clauses.push(`${quoteQuery(filters.parent)} in parents`);
+  if (filters.owner) clauses.push(`${quoteQuery(filters.owner)} in owners`);
+  if (filters.modifiedAfter) clauses.push(`modifiedTime > ${quoteQuery(filters.modifiedAfter)}`);
+  if (filters.sharedWithMe) clauses.push('sharedWithMe = true');
+  if (filters.starred) clauses.push('starred = true');
+  return clauses.join(' and ');
+}
+
+module.exports = { quoteQuery, driveQuery };
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { quoteQuery, driveQuery } from './drive-query';
+
+describe('quoteQuery', () => {
+  it('wraps plain values in single quotes', () => {
+    expect(quoteQuery('Budget 2026')).toBe("'Budget 2026'");
+  });
+
+  it('escapes single quotes', () => {
+    expect(quoteQuery("Alice's notes")).toBe("'Alice\\'s notes'");
+  });
+
+  it('escapes backslashes before quotes', () => {
+    expect(quoteQuery('C:\\temp')).toBe("'C:\\\\temp'");
+    expect(quoteQuery("ends with \\'")).toBe("'ends with \\\\\\''");
+  });
+
+  it('keeps an injected clause inside the literal', () => {
+    const quoted = quoteQuery("x' or name contains '");
+    expect(quoted).toBe("'x\\' or name contains \\''");
+  });
+
+  it('quotes non-string values as text', () => {
+    expect(quoteQuery(2026)).toBe("'2026'");
+  });
+});
+
+describe('driveQuery', () => {
+  it('leaves out trashed files when no filters are given', () => {
+    expect(driveQuery()).toBe('trashed = false');
+  });
+
+  it('quotes names and folder IDs', () => {
+    expect(driveQuery({ parent: 'abc', name: "Bob's" })).toBe(
+      "trashed = false and name = 'Bob\\'s' and 'abc' in parents"
+    );
+  });
+
+  it('keeps an empty name as an exact match', () => {
+    expect(driveQuery({ name: '' })).toBe("trashed = false and name = ''");
+  });
+
+  it('searches text in names and contents with the same literal', () => {
+    expect(driveQuery({ text: "it's" })).toBe(
+      "trashed = false and (name contains 'it\\'s' or fullText contains 'it\\'s')"
+    );
+  });
+
+  it('joins MIME types with or', () => {
+    expect(driveQuery({ mimeTypes: ['application/pdf', 'text/csv'] })).toBe(
+      "trashed = false and (mimeType = 'application/pdf' or mimeType = 'text/csv')"
+    );
+  });
+
+  it('combines owner, time and switches', () => {
+    expect(
+      driveQuery({
+        owner: 'me',
+        modifiedAfter: '2026-01-01T00:00:00.000Z',
+        sharedWithMe: true,
+        starred: true,
+      })
+    ).toBe(
+      "trashed = false and 'me' in owners and modifiedTime > '2026-01-01T00:00:00.000Z'" +
+        ' and sharedWithMe = true and starred = true'
+    );
+  });
+});
@@ -1,28 +1,127 @@
 #!/usr/bin/env node
 /**
- * Google Workspace - Gmail Helper (Read-Only)
+ * Google Workspace - Gmail Helper
  *
  * Commands:
  *   node gmail.js list [maxResults] [query]     — List recent messages
- *   node gmail.js read <messageId>              — Read a specific message
+ *   node gmail.js read <messageId> [--format text|markdown|raw] [--strip-quotes]
+ *                                               — Read a specific message
  *   node gmail.js search <query> [maxResults]   — Search messages
  *   node gmail.js labels                        — List all labels
  *   node gmail.js threads <query> [maxResults]  — List threads matching query
+ *   node gmail.js thread <threadId> [--format text|markdown|raw] [--full]
+ *                                               — Whole conversation, quoted history removed
+ *   node gmail.js sync [--label INBOX] [--max 100] [--state path] [--peek] [--reset]
+ *                                               — Report messages added/changed/deleted since last sync
  *
- * All operations are READ-ONLY (gmail.readonly scope).
+ * Mailbox management (gmail.modify scope) — <target> is message IDs or --query "<search>" [--max N]:
+ *   node gmail.js modify <target> --add-label <names> --remove-label <names>
+ *   node gmail.js archive|mark-read|mark-unread|star|unstar <target>
+ *   node gmail.js trash <target>                — Requires GMAIL_ALLOW_TRASH=true
+ *   node gmail.js label create <name>
+ *   Add --dry-run to any of these to preview the affected messages without changing them.
+ *   node gmail.js attachment <messageId> <attachmentId|filename> [outDir] [--text] [--max-chars N]
+ *                                               — Save an attachment; --text also prints its text
+ *
+ * Sending (requires GMAIL_ALLOW_SEND=true and the gmail.compose or gmail.modify scope):
+ *   node gmail.js send --to <addrs> --subject <s> --body <text> [message options]
+ *   node gmail.js reply <messageId> --body <text> [--all] [message options]
+ *   node gmail.js forward <messageId> --to <addrs> [--body <note>] [message options]
+ *   node gmail.js draft create --to <addrs> --subject <s> --body <text> [message options]
+ *   node gmail.js draft create --in-reply-to <messageId> --body <text> [--all]  — Draft a reply
+ *   node gmail.js draft list [maxResults]       — List drafts (always allowed)
+ *   node gmail.js draft send <draftId>
+ *
+ * Message options:
+ *   --to/--cc/--bcc <addrs>   Comma-separated recipients (repeatable)
+ *   --subject <text>          Subject (reply/forward default to Re:/Fwd: of the original)
+ *   --body <text>             Plain-text body
+ *   --body-file <path|->      Plain-text body from a file or stdin
+ *   --html <html|path>        HTML body (sent as multipart/alternative with the text body)
+ *   --attach <path>           Attach a local file (repeatable)
+ *
+ * Without GMAIL_ALLOW_SEND=true only the read commands (and draft list) work.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { google } = require('googleapis');
 const { getAuth } = require('./google-auth');
+const { parseOptions: parseArgs, positiveInt, splitList } = require('./cli-options');
+const { htmlToText, stripQuotesAndSignature } = require('./html-text');
+const { splitAddresses, emailOf, buildMimeMessage } = require('./mime');
 
 const auth = getAuth();
 const gmail = google.gmail({ version: 'v1', auth });
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
-function decodeBase64Url(str) {
+// Gmail's per-user quota is easy to exceed with unbounded parallel messages.get calls
+const FETCH_CONCURRENCY = 10;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Follow nextPageToken until `max` items are collected
+ * @param {Function} listFn - e.g. gmail.users.messages.list
+ * @param {object} params - Request params (without maxResults/pageToken)
+ * @param {string} key - Response field holding the items
+ * @param {number} max - Total cap
+ */
+async function paginate(listFn, params, key, max) {
+  const items = [];
+  let pageToken;
+  do {
+    const res = await listFn({
+      ...params,
+      maxResults: Math.min(max - items.length, MAX_PAGE_SIZE),
+      pageToken,
+    });
+    items.push(...(res.data[key] || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken && items.length < max);
+  return items.slice(0, max);
+}
+
+// Windows-1252 characters for bytes 0x80-0x9F (undefined bytes keep their code point)
+const CP1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+// Decode bytes in the part's charset (ISO-8859-x, Windows-125x, Shift_JIS, ...); unknown charsets fall back to UTF-8
+function decodeBytes(buffer, charset = 'utf-8') {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset.trim().toLowerCase());
+  } catch {
+    return buffer.toString('utf8');
+  }
+  const text = decoder.decode(buffer);
+  // Node decodes windows-1252 (also used for latin1/us-ascii labels) as ISO-8859-1,
+  // turning smart quotes, dashes and € into control characters
+  return decoder.encoding === 'windows-1252'
+    ? text.replace(/[\u0080-\u009f]/g, (c) => CP1252_HIGH[c.charCodeAt(0) - 0x80])
+    : text;
+}
+
+function decodeBase64Url(str, charset) {
   if (!str) return '';
-  return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+  return decodeBytes(Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64'), charset);
 }
 
 function getHeader(headers, name) {
@@ -30,48 +129,252 @@ function getHeader(headers, name) {
   return h ? h.value : '';
 }
 
-function extractBody(payload) {
-  // Simple text/plain body
-  if (payload.mimeType === 'text/plain' && payload.body?.data) {
-    return decodeBase64Url(payload.body.data);
+function getCharset(part) {
+  const match = getHeader(part.headers, 'Content-Type').match(/charset\s*=\s*"?([^";\s]+)/i);
+  return match ? match[1] : 'utf-8';
+}
+
+/**
+ * Message body in the requested format
+ * @param {object} payload - Gmail message payload
+ * @param {string} [format] - text (plain part, else converted HTML), markdown (converted HTML,
+ *   else plain part) or raw (plain part, else HTML markup, unconverted)
+ */
+function extractBody(payload, format = 'text') {
+  const plain = findPart(payload, 'text/plain');
+  const html = findPart(payload, 'text/html');
+  switch (format) {
+    case 'raw':
+      return plain || html;
+    case 'markdown':
+      return html ? htmlToText(html, true) : plain;
+    default:
+      return plain || (html ? htmlToText(html) : '');
   }
-  // Multipart — find text/plain part
-  if (payload.parts) {
-    for (const part of payload.parts) {
-      const text = extractBody(part);
-      if (text) return text;
-    }
+}
+
+// Decoded content of the first inline (non-attachment) part with this MIME type
+function findPart(payload, mimeType) {
+  if (!payload) return '';
+  if (payload.mimeType === mimeType && !payload.filename && payload.body?.data) {
+    return decodeBase64Url(payload.body.data, getCharset(payload));
   }
-  // Fallback: text/html
-  if (payload.mimeType === 'text/html' && payload.body?.data) {
-    return '[HTML] ' + decodeBase64Url(payload.body.data).substring(0, 2000);
+  for (const part of payload.parts || []) {
+    const found = findPart(part, mimeType);
+    if (found) return found;
   }
   return '';
 }
 
-function formatMessage(msg) {
-  const headers = msg.payload?.headers || [];
+function listAttachmentParts(payload, out = []) {
+  if (!payload) return out;
+  if (payload.filename && (payload.body?.attachmentId || payload.body?.data)) out.push(payload);
+  for (const part of payload.parts || []) listAttachmentParts(part, out);
+  return out;
+}
+
+function formatAttachment(part) {
   return {
+    filename: part.filename,
+    mimeType: part.mimeType,
+    size: part.body?.size || 0,
+    attachmentId: part.body?.attachmentId || null,
+    partId: part.partId,
+  };
+}
+
+// Attachment bytes: small parts are inline, larger ones need a separate request
+async function downloadPart(messageId, part) {
+  let data = part.body?.data;
+  if (!data) {
+    const res = await gmail.users.messages.attachments.get({
+      userId: 'me',
+      messageId,
+      id: part.body.attachmentId,
+    });
+    data = res.data.data;
+  }
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function formatMessage(msg, { format = 'text', stripQuotes = false } = {}) {
+  const headers = msg.payload?.headers || [];
+  let body = extractBody(msg.payload, format);
+  if (stripQuotes && format !== 'raw') body = stripQuotesAndSignature(body);
+  const formatted = {
     id: msg.id,
     threadId: msg.threadId,
     from: getHeader(headers, 'From'),
     to: getHeader(headers, 'To'),
+    cc: getHeader(headers, 'Cc'),
     subject: getHeader(headers, 'Subject'),
     date: getHeader(headers, 'Date'),
     snippet: msg.snippet,
     labels: msg.labelIds,
-    body: extractBody(msg.payload),
+    body,
+    attachments: listAttachmentParts(msg.payload).map(formatAttachment),
   };
+  // Raw mode shows the HTML alternative too when the body is the plain part
+  const html = format === 'raw' && findPart(msg.payload, 'text/html');
+  if (html && html !== body) formatted.html = html;
+  return formatted;
+}
+
+// ── Composing ────────────────────────────────────────────────────────────────
+
+const MESSAGE_FLAGS = [
+  '--to',
+  '--cc',
+  '--bcc',
+  '--subject',
+  '--body',
+  '--body-file',
+  '--html',
+  '--attach',
+];
+const LIST_FLAGS = ['--to', '--cc', '--bcc', '--attach', '--add-label', '--remove-label'];
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.ics': 'text/calendar',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.zip': 'application/zip',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.mp4': 'video/mp4',
+  '.mp3': 'audio/mpeg',
+};
+
+function requireSendEnabled() {
+  if (process.env.GMAIL_ALLOW_SEND !== 'true') {
+    throw new Error(
+      'Sending is disabled. Set GMAIL_ALLOW_SEND=true to enable send, reply, forward and draft commands.'
+    );
+  }
+}
+
+// Shared parsing, where list flags other than --attach (paths may hold commas) take comma lists
+function parseOptions(args, allowed = MESSAGE_FLAGS, booleans = []) {
+  const lists = allowed.filter((flag) => LIST_FLAGS.includes(flag));
+  const options = parseArgs(args, allowed, booleans, lists);
+  for (const flag of lists) {
+    const key = flag.slice(2);
+    if (flag === '--attach' || !options[key]) continue;
+    options[key] = options[key].flatMap(splitList);
+  }
+  return options;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function loadAttachment(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) throw new Error(`Attachment not found: ${filePath}`);
+  return {
+    filename: path.basename(resolved),
+    mimeType: MIME_TYPES[path.extname(resolved).toLowerCase()] || 'application/octet-stream',
+    data: fs.readFileSync(resolved),
+  };
+}
+
+function checkAttachmentSize(size) {
+  if (size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`Attachments total ${(size / 1048576).toFixed(1)} MB; Gmail allows 25 MB`);
+  }
+}
+
+// Body, HTML and attachments shared by send, reply, forward and draft create
+function readContent(options) {
+  let text = options.body;
+  if (options['body-file']) {
+    text = fs.readFileSync(options['body-file'] === '-' ? 0 : options['body-file'], 'utf8');
+  }
+  let html = options.html;
+  if (html !== undefined && !html.trim().startsWith('<') && fs.existsSync(html)) {
+    html = fs.readFileSync(html, 'utf8');
+  }
+  const attachments = (options.attach || []).map(loadAttachment);
+  checkAttachmentSize(attachments.reduce((sum, a) => sum + a.data.length, 0));
+  return { text, html, attachments };
+}
+
+function requireRecipients(msg) {
+  if (!msg.to?.length && !msg.cc?.length && !msg.bcc?.length) {
+    throw new Error('At least one recipient is required (--to, --cc or --bcc)');
+  }
+}
+
+// Upload as message/rfc822 media: no base64 inflation in the JSON body, allows large attachments
+function rfc822(raw) {
+  return { mimeType: 'message/rfc822', body: raw };
+}
+
+async function getProfileEmail() {
+  const res = await gmail.users.getProfile({ userId: 'me' });
+  return res.data.emailAddress.toLowerCase();
+}
+
+function quoteText(text, from, date) {
+  const quoted = (text || '')
+    .split(/\r?\n/)
+    .map((line) => `> ${line}`)
+    .join('\n');
+  return `On ${date}, ${from} wrote:\n${quoted}`;
+}
+
+function prefixSubject(subject, prefix) {
+  const re = new RegExp(`^${prefix}:`, 'i');
+  return re.test(subject) ? subject : `${prefix}: ${subject}`;
 }
 
 // ── Commands ─────────────────────────────────────────────────────────────────
 
-async function listMessages(maxResults = 10, query = '') {
-  const params = { userId: 'me', maxResults: parseInt(maxResults, 10) };
+async function getSummary(id) {
+  const full = await gmail.users.messages.get({
+    userId: 'me',
+    id,
+    format: 'metadata',
+    metadataHeaders: ['From', 'Subject', 'Date'],
+  });
+  const headers = full.data.payload?.headers || [];
+  return {
+    id,
+    from: getHeader(headers, 'From'),
+    subject: getHeader(headers, 'Subject'),
+    date: getHeader(headers, 'Date'),
+    snippet: full.data.snippet,
+  };
+}
+
+async function listMessages(maxResults, query = '') {
+  const params = { userId: 'me' };
   if (query) params.q = query;
 
-  const res = await gmail.users.messages.list(params);
-  const messages = res.data.messages || [];
+  const messages = await paginate(
+    (p) => gmail.users.messages.list(p),
+    params,
+    'messages',
+    positiveInt(maxResults, 'maxResults', 10)
+  );
 
   if (messages.length === 0) {
     console.log('No messages found.');
@@ -79,38 +382,35 @@ async function listMessages(maxResults = 10, query = '') {
   }
 
   // Fetch summaries for each message
-  const summaries = await Promise.all(
-    messages.map(async (m) => {
-      const full = await gmail.users.messages.get({
-        userId: 'me',
-        id: m.id,
-        format: 'metadata',
-        metadataHeaders: ['From', 'Subject', 'Date'],
-      });
-      const headers = full.data.payload?.headers || [];
-      return {
-        id: m.id,
-        from: getHeader(headers, 'From'),
-        subject: getHeader(headers, 'Subject'),
-        date: getHeader(headers, 'Date'),
-        snippet: full.data.snippet,
-      };
-    })
-  );
+  const summaries = await mapLimit(messages, FETCH_CONCURRENCY, (m) => getSummary(m.id));
 
   console.log(JSON.stringify(summaries, null, 2));
 }
 
-async function readMessage(messageId) {
+const BODY_FORMATS = ['text', 'markdown', 'raw'];
+
+async function readMessage(messageId, args = []) {
+  const options = parseOptions(args, ['--format'], ['--strip-quotes']);
+  const format = options.format || 'text';
+  if (!BODY_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${BODY_FORMATS.join(', ')}`);
+  }
+
   const res = await gmail.users.messages.get({
     userId: 'me',
     id: messageId,
     format: 'full',
   });
-  console.log(JSON.stringify(formatMessage(res.data), null, 2));
+  console.log(
+    JSON.stringify(
+      formatMessage(res.data, { format, stripQuotes: options['strip-quotes'] }),
+      null,
+      2
+    )
+  );
 }
 
-async function searchMessages(query, maxResults = 10) {
+async function searchMessages(query, maxResults) {
   await listMessages(maxResults, query);
 }
 
@@ -120,42 +420,703 @@ async function listLabels() {
   console.log(JSON.stringify(labels, null, 2));
 }
 
-async function listThreads(query, maxResults = 10) {
-  const params = { userId: 'me', maxResults: parseInt(maxResults, 10) };
+async function listThreads(query, maxResults) {
+  const params = { userId: 'me' };
   if (query) params.q = query;
 
-  const res = await gmail.users.threads.list(params);
-  const threads = res.data.threads || [];
+  const threads = await paginate(
+    (p) => gmail.users.threads.list(p),
+    params,
+    'threads',
+    positiveInt(maxResults, 'maxResults', 10)
+  );
 
   if (threads.length === 0) {
     console.log('No threads found.');
     return;
   }
 
-  const summaries = await Promise.all(
-    threads.map(async (t) => {
-      const full = await gmail.users.threads.get({
+  const summaries = await mapLimit(threads, FETCH_CONCURRENCY, async (t) => {
+    const full = await gmail.users.threads.get({
+      userId: 'me',
+      id: t.id,
+      format: 'metadata',
+      metadataHeaders: ['From', 'Subject', 'Date'],
+    });
+    const firstMsg = full.data.messages?.[0];
+    const headers = firstMsg?.payload?.headers || [];
+    return {
+      threadId: t.id,
+      messageCount: full.data.messages?.length || 0,
+      from: getHeader(headers, 'From'),
+      subject: getHeader(headers, 'Subject'),
+      date: getHeader(headers, 'Date'),
+      snippet: firstMsg?.snippet,
+    };
+  });
+
+  console.log(JSON.stringify(summaries, null, 2));
+}
+
+function parseAddress(address) {
+  const match = address.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  return match
+    ? { name: match[1], email: match[2].trim().toLowerCase() }
+    : { name: '', email: emailOf(address) };
+}
+
+/**
+ * Every message of a thread, oldest first
+ *
+ * Replies usually quote the whole conversation again, so quoted history and
+ * signatures are stripped from all but the first message unless --full is given.
+ */
+async function readThread(threadId, args = []) {
+  const options = parseOptions(args, ['--format'], ['--full']);
+  const format = options.format || 'text';
+  if (!BODY_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${BODY_FORMATS.join(', ')}`);
+  }
+
+  const res = await gmail.users.threads.get({ userId: 'me', id: threadId, format: 'full' });
+  const messages = (res.data.messages || [])
+    .slice()
+    .sort((a, b) => Number(a.internalDate || 0) - Number(b.internalDate || 0))
+    .map((msg, i) => {
+      const { threadId: _, ...formatted } = formatMessage(msg, {
+        format,
+        stripQuotes: !options.full && i > 0,
+      });
+      return formatted;
+    });
+
+  // Everyone on the conversation, with how many messages each sent
+  const participants = new Map();
+  for (const msg of messages) {
+    for (const [field, address] of [
+      ...splitAddresses(msg.from).map((a) => ['from', a]),
+      ...splitAddresses(msg.to).map((a) => ['to', a]),
+      ...splitAddresses(msg.cc).map((a) => ['cc', a]),
+    ]) {
+      const { name, email } = parseAddress(address);
+      const entry = participants.get(email) || { name, email, sent: 0 };
+      if (!entry.name && name) entry.name = name;
+      if (field === 'from') entry.sent++;
+      participants.set(email, entry);
+    }
+  }
+
+  const attachments = messages.flatMap((msg) =>
+    msg.attachments.map(({ filename, mimeType, size, partId }) => ({
+      messageId: msg.id,
+      filename,
+      mimeType,
+      size,
+      partId,
+    }))
+  );
+
+  console.log(
+    JSON.stringify(
+      {
+        threadId,
+        subject: messages[0]?.subject || '',
+        messageCount: messages.length,
+        participants: [...participants.values()],
+        attachments,
+        messages,
+      },
+      null,
+      2
+    )
+  );
+}
+
+// ── Sync ─────────────────────────────────────────────────────────────────────
+
+const DEFAULT_SYNC_STATE = path.join(os.homedir(), '.openclaw', 'gmail-sync.json');
+
+function readSyncState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeSyncState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Report what changed since the last run using users.history.list
+ *
+ * The first run (or --reset) only records the mailbox's current historyId.
+ * History is kept for about a week; if the stored ID has expired, the state
+ * is re-initialized and `expired: true` is reported. New messages beyond --max
+ * are kept in the state as `pending` and returned first by the next run. The
+ * state belongs to one --label; syncing another label needs its own --state.
+ */
+async function syncMessages(args) {
+  const options = parseOptions(args, ['--label', '--max', '--state'], ['--peek', '--reset']);
+  const stateFile = path.resolve(options.state || DEFAULT_SYNC_STATE);
+  const max = positiveInt(options.max, '--max', 100);
+  const label = options.label;
+  const state = options.reset ? null : readSyncState(stateFile);
+  if (state?.historyId && (state.label || null) !== (label || null)) {
+    throw new Error(
+      `${stateFile} tracks ${state.label ? `label ${state.label}` : 'all mail'}; ` +
+        'pass the same --label, use --state <file> for a separate cursor, or --reset'
+    );
+  }
+  const save = (historyId, pending = []) => {
+    if (options.peek) return;
+    const saved = { historyId, label, syncedAt: new Date().toISOString() };
+    if (pending.length) saved.pending = pending;
+    writeSyncState(stateFile, saved);
+  };
+
+  if (!state?.historyId) {
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+    save(profile.data.historyId);
+    console.log(
+      JSON.stringify(
+        { initialized: true, historyId: profile.data.historyId, state: stateFile },
+        null,
+        2
+      )
+    );
+    return;
+  }
+
+  // id -> true, in arrival order; messages a previous run had no room for come first
+  const added = new Map((state.pending || []).map((id) => [id, true]));
+  const deleted = new Set();
+  const labelChanges = new Map(); // id -> { labelsAdded: Set, labelsRemoved: Set }
+  const change = (id) => {
+    if (!labelChanges.has(id)) {
+      labelChanges.set(id, { labelsAdded: new Set(), labelsRemoved: new Set() });
+    }
+    return labelChanges.get(id);
+  };
+
+  let historyId = state.historyId;
+  let pageToken;
+  try {
+    do {
+      const res = await gmail.users.history.list({
+        userId: 'me',
+        startHistoryId: state.historyId,
+        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+        labelId: label,
+        maxResults: MAX_PAGE_SIZE,
+        pageToken,
+      });
+      for (const record of res.data.history || []) {
+        for (const { message } of record.messagesAdded || []) added.set(message.id, true);
+        for (const { message } of record.messagesDeleted || []) deleted.add(message.id);
+        for (const { message, labelIds } of record.labelsAdded || []) {
+          labelIds.forEach((l) => change(message.id).labelsAdded.add(l));
+        }
+        for (const { message, labelIds } of record.labelsRemoved || []) {
+          labelIds.forEach((l) => change(message.id).labelsRemoved.add(l));
+        }
+      }
+      historyId = res.data.historyId || historyId;
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+  } catch (err) {
+    if (err.code !== 404 && err.response?.status !== 404) throw err;
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+    save(profile.data.historyId, state.pending);
+    console.log(
+      JSON.stringify(
+        {
+          expired: true,
+          historyId: profile.data.historyId,
+          hint: 'History since the last sync is no longer available; use `list` with an after: query to catch up.',
+        },
+        null,
+        2
+      )
+    );
+    return;
+  }
+
+  // Deleted wins over added/changed; new messages already carry their current labels
+  for (const id of deleted) {
+    added.delete(id);
+    labelChanges.delete(id);
+  }
+  for (const id of added.keys()) labelChanges.delete(id);
+
+  const addedIds = [...added.keys()];
+  const summaries = await mapLimit(addedIds.slice(0, max), FETCH_CONCURRENCY, async (id) => {
+    try {
+      return await getSummary(id);
+    } catch (err) {
+      // Gone again before we could fetch it (e.g. a draft that was sent)
+      if (err.code === 404 || err.response?.status === 404) return null;
+      throw err;
+    }
+  });
+
+  // Advance the cursor but remember the messages left out, so no later run misses them
+  save(historyId, addedIds.slice(max));
+  console.log(
+    JSON.stringify(
+      {
+        since: state.historyId,
+        historyId,
+        added: summaries.filter(Boolean),
+        addedTruncated: addedIds.length > max ? addedIds.length - max : undefined,
+        labelChanges: [...labelChanges].map(([id, c]) => ({
+          id,
+          labelsAdded: [...c.labelsAdded],
+          labelsRemoved: [...c.labelsRemoved],
+        })),
+        deleted: [...deleted],
+      },
+      null,
+      2
+    )
+  );
+}
+
+// ── Mailbox management ───────────────────────────────────────────────────────
+
+// Label changes behind each shortcut command
+const LABEL_ACTIONS = {
+  archive: { remove: ['INBOX'] },
+  'mark-read': { remove: ['UNREAD'] },
+  'mark-unread': { add: ['UNREAD'] },
+  star: { add: ['STARRED'] },
+  unstar: { remove: ['STARRED'] },
+};
+// batchModify accepts at most 1000 IDs per call
+const BATCH_MODIFY_LIMIT = 1000;
+
+function requireTrashEnabled() {
+  if (process.env.GMAIL_ALLOW_TRASH !== 'true') {
+    throw new Error('Trash is disabled. Set GMAIL_ALLOW_TRASH=true to enable the trash command.');
+  }
+}
+
+// Map lists of label names (case-insensitive) or IDs to label IDs, with one labels.list call
+async function resolveLabelIds(...lists) {
+  if (!lists.some((names) => names?.length)) return lists.map(() => []);
+  const res = await gmail.users.labels.list({ userId: 'me' });
+  const labels = res.data.labels || [];
+  const labelId = (name) => {
+    const label =
+      labels.find((l) => l.id === name) ||
+      labels.find((l) => l.name.toLowerCase() === name.toLowerCase());
+    if (!label) {
+      throw new Error(
+        `Unknown label "${name}". Create it first with: gmail.js label create "${name}"`
+      );
+    }
+    return label.id;
+  };
+  return lists.map((names = []) => names.map(labelId));
+}
+
+// Message IDs from the command line, or every match of --query up to --max
+async function resolveTargets(options) {
+  if (options.query && options._.length) {
+    throw new Error('Pass message IDs or --query, not both');
+  }
+  if (options.query) {
+    const max = positiveInt(options.max, '--max', 100);
+    const messages = await paginate(
+      (p) => gmail.users.messages.list(p),
+      { userId: 'me', q: options.query },
+      'messages',
+      max
+    );
+    return messages.map((m) => m.id);
+  }
+  if (!options._.length) throw new Error('Pass one or more message IDs, or --query "<search>"');
+  return options._;
+}
+
+async function manageMessages(action, args) {
+  // Only modify takes labels; the other actions have theirs fixed
+  const labelFlags = action === 'modify' ? ['--add-label', '--remove-label'] : [];
+  const options = parseOptions(args, [...labelFlags, '--query', '--max'], ['--dry-run']);
+  if (action === 'trash' && !options['dry-run']) requireTrashEnabled();
+
+  const change = LABEL_ACTIONS[action] || {
+    add: options['add-label'] || [],
+    remove: options['remove-label'] || [],
+  };
+  if (action === 'modify' && !change.add.length && !change.remove.length) {
+    throw new Error('modify needs --add-label and/or --remove-label');
+  }
+  const [addLabelIds, removeLabelIds] = await resolveLabelIds(change.add, change.remove);
+  const ids = await resolveTargets(options);
+
+  const result = { action, count: ids.length };
+  if (action !== 'trash') Object.assign(result, { addLabelIds, removeLabelIds });
+
+  if (ids.length === 0) {
+    console.log(JSON.stringify({ ...result, note: 'No matching messages.' }, null, 2));
+    return;
+  }
+
+  if (options['dry-run']) {
+    const messages = await mapLimit(ids, FETCH_CONCURRENCY, getSummary);
+    console.log(JSON.stringify({ dryRun: true, ...result, messages }, null, 2));
+    return;
+  }
+
+  if (action === 'trash') {
+    await mapLimit(ids, FETCH_CONCURRENCY, (id) =>
+      gmail.users.messages.trash({ userId: 'me', id })
+    );
+  } else {
+    for (let i = 0; i < ids.length; i += BATCH_MODIFY_LIMIT) {
+      await gmail.users.messages.batchModify({
         userId: 'me',
-        id: t.id,
-        format: 'metadata',
-        metadataHeaders: ['From', 'Subject', 'Date'],
+        requestBody: { ids: ids.slice(i, i + BATCH_MODIFY_LIMIT), addLabelIds, removeLabelIds },
       });
-      const firstMsg = full.data.messages?.[0];
-      const headers = firstMsg?.payload?.headers || [];
-      return {
-        threadId: t.id,
-        messageCount: full.data.messages?.length || 0,
-        from: getHeader(headers, 'From'),
-        subject: getHeader(headers, 'Subject'),
-        date: getHeader(headers, 'Date'),
-        snippet: firstMsg?.snippet,
-      };
-    })
+    }
+  }
+  // Query matches can run to thousands; only echo IDs the caller listed
+  console.log(JSON.stringify(options.query ? result : { ...result, ids }, null, 2));
+}
+
+async function createLabel(name) {
+  const res = await gmail.users.labels.list({ userId: 'me' });
+  const existing = (res.data.labels || []).find((l) => l.name.toLowerCase() === name.toLowerCase());
+  if (existing) throw new Error(`Label "${existing.name}" already exists (id: ${existing.id})`);
+
+  const created = await gmail.users.labels.create({
+    userId: 'me',
+    requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' },
+  });
+  console.log(JSON.stringify({ id: created.data.id, name: created.data.name }, null, 2));
+}
+
+// Attachment types whose text can be extracted, by MIME type and by extension
+const TEXT_MIME_TYPES = [
+  'text/plain',
+  'text/csv',
+  'text/tab-separated-values',
+  'text/markdown',
+  'text/calendar',
+  'text/xml',
+  'application/json',
+  'application/xml',
+  'application/csv',
+];
+const TEXT_EXTENSIONS = ['.txt', '.csv', '.tsv', '.md', '.json', '.xml', '.ics', '.log'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+function extractAttachmentText(part, data) {
+  const ext = path.extname(part.filename || '').toLowerCase();
+  const charset = getCharset(part);
+  if (part.mimeType === 'text/html' || HTML_EXTENSIONS.includes(ext)) {
+    return htmlToText(decodeBytes(data, charset));
+  }
+  if (TEXT_MIME_TYPES.includes(part.mimeType) || TEXT_EXTENSIONS.includes(ext)) {
+    return decodeBytes(data, charset);
+  }
+  return null;
+}
+
+/**
+ * The part an attachment ID from an earlier fetch belongs to. Gmail issues new IDs on every
+ * fetch, but old ones still download; the downloaded size picks the part.
+ * @returns {Promise<object>} The part, with its data filled in
+ */
+async function partByOldId(messageId, id, parts) {
+  const listed = parts.map((p) => `${p.filename} (partId ${p.partId})`).join(', ') || 'none';
+  let res;
+  try {
+    res = await gmail.users.messages.attachments.get({ userId: 'me', messageId, id });
+  } catch (err) {
+    const status = err.code || err.response?.status;
+    if (status !== 400 && status !== 404) throw err;
+    throw new Error(`No attachment "${id}" on message ${messageId} (attachments: ${listed})`);
+  }
+  const matches = parts.filter((p) => (p.body?.size || 0) === res.data.size);
+  if (matches.length !== 1) {
+    throw new Error(
+      `Can't tell which attachment "${id}" is; pass its filename or partId (attachments: ${listed})`
+    );
+  }
+  return { ...matches[0], body: { ...matches[0].body, data: res.data.data } };
+}
+
+async function saveAttachment(messageId, args) {
+  const options = parseOptions(args, ['--max-chars'], ['--text']);
+  const [ref, outDir = '/tmp/gmail-attachments'] = options._;
+  const maxChars = positiveInt(options['max-chars'], '--max-chars', 20000);
+
+  const res = await gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' });
+  const parts = listAttachmentParts(res.data.payload);
+  const part =
+    parts.find((p) => p.body?.attachmentId === ref) ||
+    parts.find((p) => p.filename === ref) ||
+    parts.find((p) => p.partId === ref) ||
+    (await partByOldId(messageId, ref, parts));
+
+  const data = await downloadPart(messageId, part);
+  const filename = path.basename(part.filename);
+  fs.mkdirSync(outDir, { recursive: true });
+  const outPath = path.resolve(outDir, filename);
+  fs.writeFileSync(outPath, data);
+
+  const result = {
+    saved: outPath,
+    filename,
+    mimeType: part.mimeType || 'application/octet-stream',
+    size: data.length,
+  };
+  if (options.text) {
+    const text = extractAttachmentText(part, data);
+    if (text === null) {
+      result.text = null;
+      result.note = `No text extraction for ${result.mimeType}; the file is saved at ${outPath}`;
+    } else {
+      result.truncated = text.length > maxChars;
+      result.text = result.truncated ? text.slice(0, maxChars) : text;
+    }
+  }
+  console.log(JSON.stringify(result, null, 2));
+}
+
+async function sendMessage(args) {
+  requireSendEnabled();
+  const options = parseOptions(args);
+  const msg = {
+    to: options.to,
+    cc: options.cc,
+    bcc: options.bcc,
+    subject: options.subject,
+    ...readContent(options),
+  };
+  requireRecipients(msg);
+  if (msg.text === undefined && msg.html === undefined) {
+    throw new Error('Message needs --body, --body-file or --html');
+  }
+
+  const res = await gmail.users.messages.send({
+    userId: 'me',
+    media: rfc822(buildMimeMessage(msg)),
+  });
+  console.log(
+    JSON.stringify({ sent: true, id: res.data.id, threadId: res.data.threadId }, null, 2)
+  );
+}
+
+// Build a reply to an existing message, threaded with In-Reply-To/References
+async function buildReply(messageId, options) {
+  const res = await gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' });
+  const original = res.data;
+  const headers = original.payload?.headers || [];
+  const from = getHeader(headers, 'Reply-To') || getHeader(headers, 'From');
+  const messageIdHeader = getHeader(headers, 'Message-ID');
+  const content = readContent(options);
+
+  // Replying to our own message: answer the original recipients instead of ourselves
+  const ownMessage = original.labelIds?.includes('SENT');
+  const to = options.to || splitAddresses(ownMessage ? getHeader(headers, 'To') : from);
+  let cc = options.cc;
+  if (options.all && !options.cc) {
+    const self = await getProfileEmail();
+    const seen = new Set([self, ...to.map(emailOf)]);
+    cc = [
+      ...splitAddresses(getHeader(headers, 'To')),
+      ...splitAddresses(getHeader(headers, 'Cc')),
+    ].filter((addr) => {
+      const email = emailOf(addr);
+      if (seen.has(email)) return false;
+      seen.add(email);
+      return true;
+    });
+  }
+
+  const quote = quoteText(
+    extractBody(original.payload),
+    getHeader(headers, 'From'),
+    getHeader(headers, 'Date')
+  );
+  const text = `${content.text ?? (content.html ? htmlToText(content.html) : '')}\n\n${quote}`;
+  const html =
+    content.html &&
+    `${content.html}<br><blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">${escapeHtml(quote).replace(/\n/g, '<br>')}</blockquote>`;
+
+  return {
+    threadId: original.threadId,
+    msg: {
+      to,
+      cc,
+      bcc: options.bcc,
+      subject: options.subject || prefixSubject(getHeader(headers, 'Subject'), 'Re'),
+      text,
+      html,
+      attachments: content.attachments,
+      inReplyTo: messageIdHeader,
+      references: [getHeader(headers, 'References'), messageIdHeader].filter(Boolean).join(' '),
+    },
+  };
+}
+
+async function replyToMessage(messageId, args) {
+  requireSendEnabled();
+  const options = parseOptions(args, MESSAGE_FLAGS, ['--all']);
+  if (
+    options.body === undefined &&
+    options['body-file'] === undefined &&
+    options.html === undefined
+  ) {
+    throw new Error('Reply needs --body, --body-file or --html');
+  }
+  const { threadId, msg } = await buildReply(messageId, options);
+
+  const res = await gmail.users.messages.send({
+    userId: 'me',
+    requestBody: { threadId },
+    media: rfc822(buildMimeMessage(msg)),
+  });
+  console.log(
+    JSON.stringify({ sent: true, id: res.data.id, threadId: res.data.threadId }, null, 2)
+  );
+}
+
+async function forwardMessage(messageId, args) {
+  requireSendEnabled();
+  const options = parseOptions(args);
+  const res = await gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' });
+  const original = res.data;
+  const headers = original.payload?.headers || [];
+  const content = readContent(options);
+
+  const intro = [
+    '---------- Forwarded message ---------',
+    `From: ${getHeader(headers, 'From')}`,
+    `Date: ${getHeader(headers, 'Date')}`,
+    `Subject: ${getHeader(headers, 'Subject')}`,
+    `To: ${getHeader(headers, 'To')}`,
+  ];
+  if (getHeader(headers, 'Cc')) intro.push(`Cc: ${getHeader(headers, 'Cc')}`);
+
+  const note = content.text ?? (content.html ? htmlToText(content.html) : '');
+  const originalText = findPart(original.payload, 'text/plain');
+  const originalHtml = findPart(original.payload, 'text/html');
+  const text = `${note ? `${note}\n\n` : ''}${intro.join('\n')}\n\n${originalText || htmlToText(originalHtml)}`;
+  const html =
+    (content.html || originalHtml) &&
+    `${content.html || (note ? `<p>${escapeHtml(note).replace(/\n/g, '<br>')}</p>` : '')}` +
+      `<br><div>${intro.map(escapeHtml).join('<br>')}</div><br>` +
+      (originalHtml || `<pre>${escapeHtml(originalText)}</pre>`);
+
+  // Carry the original attachments along, checking their sizes before downloading any
+  const parts = listAttachmentParts(original.payload);
+  checkAttachmentSize(
+    parts.reduce((sum, part) => sum + (part.body?.size || 0), 0) +
+      content.attachments.reduce((sum, a) => sum + a.data.length, 0)
+  );
+  const originalAttachments = await mapLimit(parts, FETCH_CONCURRENCY, async (part) => ({
+    filename: part.filename,
+    mimeType: part.mimeType || 'application/octet-stream',
+    data: await downloadPart(messageId, part),
+  }));
+
+  const msg = {
+    to: options.to,
+    cc: options.cc,
+    bcc: options.bcc,
+    subject: options.subject || prefixSubject(getHeader(headers, 'Subject'), 'Fwd'),
+    text,
+    html,
+    attachments: [...originalAttachments, ...content.attachments],
+  };
+  requireRecipients(msg);
+
+  const sent = await gmail.users.messages.send({
+    userId: 'me',
+    media: rfc822(buildMimeMessage(msg)),
+  });
+  console.log(
+    JSON.stringify({ sent: true, id: sent.data.id, threadId: sent.data.threadId }, null, 2)
+  );
+}
+
+async function createDraft(args) {
+  requireSendEnabled();
+  const options = parseOptions(args, [...MESSAGE_FLAGS, '--in-reply-to'], ['--all']);
+  let msg;
+  let threadId;
+  if (options['in-reply-to']) {
+    ({ threadId, msg } = await buildReply(options['in-reply-to'], options));
+  } else {
+    msg = {
+      to: options.to,
+      cc: options.cc,
+      bcc: options.bcc,
+      subject: options.subject,
+      ...readContent(options),
+    };
+  }
+
+  const res = await gmail.users.drafts.create({
+    userId: 'me',
+    requestBody: { message: threadId ? { threadId } : {} },
+    media: rfc822(buildMimeMessage(msg)),
+  });
+  console.log(
+    JSON.stringify(
+      {
+        draftId: res.data.id,
+        messageId: res.data.message?.id,
+        threadId: res.data.message?.threadId,
+      },
+      null,
+      2
+    )
+  );
+}
+
+async function listDrafts(maxResults) {
+  const drafts = await paginate(
+    (p) => gmail.users.drafts.list(p),
+    { userId: 'me' },
+    'drafts',
+    positiveInt(maxResults, 'maxResults', 10)
   );
 
+  if (drafts.length === 0) {
+    console.log('No drafts found.');
+    return;
+  }
+
+  const summaries = await mapLimit(drafts, FETCH_CONCURRENCY, async (d) => {
+    const full = await gmail.users.drafts.get({ userId: 'me', id: d.id, format: 'metadata' });
+    const headers = full.data.message?.payload?.headers || [];
+    return {
+      draftId: d.id,
+      messageId: full.data.message?.id,
+      to: getHeader(headers, 'To'),
+      subject: getHeader(headers, 'Subject'),
+      snippet: full.data.message?.snippet,
+    };
+  });
+
   console.log(JSON.stringify(summaries, null, 2));
 }
 
+async function sendDraft(draftId) {
+  requireSendEnabled();
+  const res = await gmail.users.drafts.send({ userId: 'me', requestBody: { id: draftId } });
+  console.log(
+    JSON.stringify({ sent: true, id: res.data.id, threadId: res.data.threadId }, null, 2)
+  );
+}
+
 // ── CLI ──────────────────────────────────────────────────────────────────────
 
 const [, , command, ...args] = process.argv;
@@ -168,10 +1129,12 @@ const [, , command, ...args] = process.argv;
         break;
       case 'read':
         if (!args[0]) {
-          console.error('Usage: gmail.js read <messageId>');
+          console.error(
+            'Usage: gmail.js read <messageId> [--format text|markdown|raw] [--strip-quotes]'
+          );
           process.exit(1);
         }
-        await readMessage(args[0]);
+        await readMessage(args[0], args.slice(1));
         break;
       case 'search':
         if (!args[0]) {
@@ -186,15 +1149,107 @@ const [, , command, ...args] = process.argv;
       case 'threads':
         await listThreads(args[0], args[1]);
         break;
+      case 'thread':
+        if (!args[0]) {
+          console.error('Usage: gmail.js thread <threadId> [--format text|markdown|raw] [--full]');
+          process.exit(1);
+        }
+        await readThread(args[0], args.slice(1));
+        break;
+      case 'sync':
+        await syncMessages(args);
+        break;
+      case 'modify':
+      case 'archive':
+      case 'mark-read':
+      case 'mark-unread':
+      case 'star':
+      case 'unstar':
+      case 'trash':
+        await manageMessages(command, args);
+        break;
+      case 'label':
+        if (args[0] !== 'create' || !args[1]) {
+          console.error('Usage: gmail.js label create <name>');
+          process.exit(1);
+        }
+        await createLabel(args.slice(1).join(' '));
+        break;
+      case 'attachment':
+        if (!args[0] || !args[1]) {
+          console.error(
+            'Usage: gmail.js attachment <messageId> <attachmentId|filename> [outDir] [--text] [--max-chars N]'
+          );
+          process.exit(1);
+        }
+        await saveAttachment(args[0], args.slice(1));
+        break;
+      case 'send':
+        await sendMessage(args);
+        break;
+      case 'reply':
+        if (!args[0] || args[0].startsWith('--')) {
+          console.error(
+            'Usage: gmail.js reply <messageId> --body <text> [--all] [message options]'
+          );
+          process.exit(1);
+        }
+        await replyToMessage(args[0], args.slice(1));
+        break;
+      case 'forward':
+        if (!args[0] || args[0].startsWith('--')) {
+          console.error(
+            'Usage: gmail.js forward <messageId> --to <addrs> [--body <note>] [message options]'
+          );
+          process.exit(1);
+        }
+        await forwardMessage(args[0], args.slice(1));
+        break;
+      case 'draft':
+        switch (args[0]) {
+          case 'create':
+            await createDraft(args.slice(1));
+            break;
+          case 'list':
+            await listDrafts(args[1]);
+            break;
+          case 'send':
+            if (!args[1]) {
+              console.error('Usage: gmail.js draft send <draftId>');
+              process.exit(1);
+            }
+            await sendDraft(args[1]);
+            break;
+          default:
+            console.error('Usage: gmail.js draft create|list|send');
+            process.exit(1);
+        }
+        break;
       default:
-        console.error('Gmail Helper — Read Only');
-        console.error('Commands: list, read, search, labels, threads');
+        console.error('Gmail Helper');
+        console.error(
+          'Commands: list, read, search, labels, threads, thread, sync, attachment, modify, archive,'
+        );
+        console.error(
+          '  mark-read, mark-unread, star, unstar, trash, label create, send, reply, forward, draft'
+        );
         console.error('Examples:');
         console.error('  node gmail.js list 5');
         console.error('  node gmail.js read 18dc1234abcd');
         console.error('  node gmail.js search "from:boss@company.com" 10');
         console.error('  node gmail.js labels');
         console.error('  node gmail.js threads "subject:meeting" 5');
+        console.error('  node gmail.js sync --label INBOX');
+        console.error('  node gmail.js archive --query "from:newsletter@example.com" --dry-run');
+        console.error('  node gmail.js attachment 18dc1234abcd report.csv /tmp --text');
+        console.error(
+          '  node gmail.js send --to bob@example.com --subject "Hi" --body "Hello" --attach /tmp/a.pdf'
+        );
+        console.error('  node gmail.js reply 18dc1234abcd --body "Thanks!" --all');
+        console.error(
+          '  node gmail.js draft create --to bob@example.com --subject "Draft" --body "..."'
+        );
+        console.error('Sending requires GMAIL_ALLOW_SEND=true.');
         process.exit(1);
     }
   } catch (err) {
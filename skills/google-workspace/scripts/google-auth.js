@@ -1,39 +1,112 @@
 #!/usr/bin/env node
 /**
- * Google Workspace - Shared OAuth2 Auth Module
+ * Google Workspace - Shared Auth Module
  *
- * Provides an authenticated Google OAuth2 client using refresh-token credentials
- * stored in environment variables. Used by all other Google Workspace scripts.
+ * Provides an authenticated Google client from environment variables. Used by all
+ * other Google Workspace scripts. The mode follows from which credentials are set:
  *
- * Required env vars:
+ * Service account (used when GOOGLE_SERVICE_ACCOUNT_KEY is set):
+ *   GOOGLE_SERVICE_ACCOUNT_KEY   The JSON key itself, or a path to the key file
+ *   GOOGLE_IMPERSONATE_USER      Optional: act as this user (domain-wide delegation),
+ *                                e.g. a shared mailbox or team calendar owner
+ *
+ * OAuth refresh token (a single user's own account):
  *   GOOGLE_CLIENT_ID
  *   GOOGLE_CLIENT_SECRET
  *   GOOGLE_REFRESH_TOKEN
  *
+ * GOOGLE_SCOPES (space- or comma-separated; short names like "calendar" are fine) sets
+ * the scopes a service account asks for. The default covers what the scripts use,
+ * widened by the opt-in flags: gmail.modify, calendar, and drive.readonly — drive with
+ * DRIVE_ALLOW_WRITE, plus spreadsheets with SHEETS_ALLOW_WRITE. With delegation, the
+ * Workspace admin must allow exactly these scopes for the service account's client ID.
+ * A refresh token keeps the scopes it was granted.
+ *
  * Usage (as module):
  *   const { getAuth } = require('./google-auth');
  *   const auth = getAuth();
+ *
+ * Usage (CLI): node google-auth.js — tests the credentials, prints the mode and scopes
  */
 
+const fs = require('fs');
 const { google } = require('googleapis');
 
+const SCOPE_PREFIX = 'https://www.googleapis.com/auth/';
+
+function requestedScopes() {
+  if (process.env.GOOGLE_SCOPES) {
+    return process.env.GOOGLE_SCOPES.split(/[\s,]+/)
+      .filter(Boolean)
+      .map((scope) => (scope.startsWith('https://') ? scope : SCOPE_PREFIX + scope));
+  }
+  const scopes = ['gmail.modify', 'calendar'];
+  scopes.push(process.env.DRIVE_ALLOW_WRITE === 'true' ? 'drive' : 'drive.readonly');
+  if (process.env.SHEETS_ALLOW_WRITE === 'true') scopes.push('spreadsheets');
+  return scopes.map((scope) => SCOPE_PREFIX + scope);
+}
+
+// The key may be pasted into the variable as JSON or point at a key file
+function loadServiceAccountKey(value) {
+  let text = value;
+  if (!value.trim().startsWith('{')) {
+    try {
+      text = fs.readFileSync(value, 'utf8');
+    } catch (err) {
+      throw new Error(`Cannot read the service-account key file ${value}: ${err.message}`);
+    }
+  }
+  let key;
+  try {
+    key = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`GOOGLE_SERVICE_ACCOUNT_KEY is not valid JSON: ${err.message}`);
+  }
+  if (key.type !== 'service_account' || !key.client_email || !key.private_key) {
+    throw new Error(
+      'GOOGLE_SERVICE_ACCOUNT_KEY is not a service-account key (needs type "service_account", client_email and private_key).'
+    );
+  }
+  return key;
+}
+
+// Which credentials getAuth() will use, without creating a client
+function authMode() {
+  if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) return 'service-account';
+  const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REFRESH_TOKEN } = process.env;
+  if (GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET && GOOGLE_REFRESH_TOKEN) return 'oauth';
+  return null;
+}
+
 function getAuth() {
-  const clientId = process.env.GOOGLE_CLIENT_ID;
-  const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
-  const refreshToken = process.env.GOOGLE_REFRESH_TOKEN;
+  const mode = authMode();
 
-  if (!clientId || !clientSecret || !refreshToken) {
+  if (mode === 'service-account') {
+    const key = loadServiceAccountKey(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
+    return new google.auth.JWT({
+      email: key.client_email,
+      key: key.private_key,
+      scopes: requestedScopes(),
+      subject: process.env.GOOGLE_IMPERSONATE_USER || undefined,
+    });
+  }
+
+  if (mode !== 'oauth') {
     throw new Error(
-      'Missing Google OAuth credentials. Set GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, and GOOGLE_REFRESH_TOKEN environment variables.'
+      'Missing Google credentials. Set GOOGLE_SERVICE_ACCOUNT_KEY (optionally with GOOGLE_IMPERSONATE_USER), or GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, and GOOGLE_REFRESH_TOKEN environment variables.'
     );
   }
 
+  const clientId = process.env.GOOGLE_CLIENT_ID;
+  const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
+  const refreshToken = process.env.GOOGLE_REFRESH_TOKEN;
+
   const oauth2 = new google.auth.OAuth2(clientId, clientSecret);
   oauth2.setCredentials({ refresh_token: refreshToken });
   return oauth2;
 }
 
-module.exports = { getAuth };
+module.exports = { getAuth, authMode };
 
 // CLI mode — quick connectivity test
 if (require.main === module) {
@@ -41,8 +114,25 @@ if (require.main === module) {
     try {
       const auth = getAuth();
       const token = await auth.getAccessToken();
-      console.log('Google OAuth2 token refresh successful.');
+      if (authMode() === 'service-account') {
+        const subject = process.env.GOOGLE_IMPERSONATE_USER;
+        const acting = subject ? `, impersonating ${subject}` : '';
+        console.log('Google service-account token request successful.');
+        console.log(`Mode: service account ${auth.email}${acting}`);
+      } else {
+        console.log('Google OAuth2 token refresh successful.');
+        console.log('Mode: OAuth refresh token');
+      }
       console.log('Token type:', token.token ? 'Bearer' : 'unknown');
+
+      // The token's own scopes are the truth; fall back to what was asked for
+      let scopes;
+      try {
+        scopes = (await auth.getTokenInfo(token.token)).scopes;
+      } catch {
+        scopes = authMode() === 'service-account' ? requestedScopes() : undefined;
+      }
+      console.log('Scopes:', scopes?.length ? `\n  ${scopes.join('\n  ')}` : 'unknown');
     } catch (err) {
       console.error('Auth test failed:', err.message);
       process.exit(1);
@@ -0,0 +1,321 @@
+/**
+ * Google Workspace - Message Body Text
+ *
+ * Turns HTML mail bodies into readable plain text or markdown, and cuts quoted reply
+ * history and signatures from a body so only what the sender wrote is left.
+ *
+ * Usage:
+ *   const { htmlToText, stripQuotesAndSignature } = require('./html-text');
+ *   htmlToText('<p>Hi <b>Bob</b></p>', true); // 'Hi **Bob**'
+ */
+
+// Elements whose content is never shown
+const SKIP_TAGS = ['head', 'script', 'style', 'title', 'noscript', 'template', 'svg', 'object'];
+const VOID_TAGS = ['br', 'hr', 'img', 'input', 'meta', 'link', 'col', 'area', 'base', 'wbr'];
+// Blocks separated by a blank line; other block elements just start a new line
+const PARAGRAPH_TAGS = [
+  'p',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'ul',
+  'ol',
+  'blockquote',
+  'pre',
+  'table',
+  'dl',
+  'figure',
+];
+const LINE_TAGS = [
+  'div',
+  'section',
+  'article',
+  'header',
+  'footer',
+  'main',
+  'nav',
+  'aside',
+  'address',
+  'center',
+  'form',
+  'figcaption',
+  'dt',
+  'dd',
+  'tr',
+  'thead',
+  'tbody',
+  'tfoot',
+];
+const INLINE_MARKERS = { b: '**', strong: '**', i: '_', em: '_', code: '`', s: '~~', del: '~~' };
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  deg: '°',
+  times: '×',
+  zwnj: '',
+  zwj: '',
+  shy: '',
+};
+// Accented letters: &eacute; -> e + combining acute accent, composed
+const ENTITY_ACCENTS = {
+  acute: '\u0301',
+  grave: '\u0300',
+  circ: '\u0302',
+  uml: '\u0308',
+  tilde: '\u0303',
+  cedil: '\u0327',
+  ring: '\u030a',
+};
+const ENTITY_LETTERS = {
+  szlig: 'ß',
+  aelig: 'æ',
+  AElig: 'Æ',
+  oslash: 'ø',
+  Oslash: 'Ø',
+  eth: 'ð',
+  thorn: 'þ',
+};
+// Separates table cells until their row is laid out
+const CELL_MARK = '\u0000';
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const point = /^#x/i.test(code) ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      try {
+        return String.fromCodePoint(point);
+      } catch {
+        return match;
+      }
+    }
+    if (ENTITY_LETTERS[code]) return ENTITY_LETTERS[code];
+    const accent = code.match(/^([a-z])(acute|grave|circ|uml|tilde|cedil|ring)$/i);
+    if (accent) return (accent[1] + ENTITY_ACCENTS[accent[2]]).normalize('NFC');
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function getAttr(attrs, name) {
+  const match = attrs.match(
+    new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i')
+  );
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : '';
+}
+
+/**
+ * Convert HTML mail to readable text, keeping links, lists, quotes and table rows
+ * @param {string} html
+ * @param {boolean} [markdown] - Emit markdown (headings, emphasis, [text](url)) instead of plain text
+ * @returns {string}
+ */
+function htmlToText(html, markdown = false) {
+  let out = '';
+  const stack = [];
+  let preDepth = 0;
+
+  // End the current line and make sure `count` line breaks precede what comes next
+  const breakLines = (count) => {
+    out = out.replace(/[ \t]+$/, '');
+    if (!out) return;
+    const trailing = out.match(/\n*$/)[0].length;
+    if (trailing < count) out += '\n'.repeat(count - trailing);
+  };
+  const listDepth = () => stack.filter((e) => e.tag === 'ul' || e.tag === 'ol').length;
+  const nearest = (tags) => [...stack].reverse().find((e) => tags.includes(e.tag));
+
+  function openTag(tag, attrs) {
+    const entry = { tag, start: out.length };
+    if (tag === 'li') {
+      breakLines(1);
+      const list = nearest(['ul', 'ol']);
+      const indent = '  '.repeat(Math.max(listDepth() - 1, 0));
+      out += indent + (list?.tag === 'ol' ? `${++list.index}. ` : '- ');
+    } else if (tag === 'ul' || tag === 'ol') {
+      breakLines(nearest(['li']) ? 1 : 2);
+      entry.index = 0;
+    } else if (tag === 'td' || tag === 'th') {
+      out += CELL_MARK;
+    } else if (tag === 'pre') {
+      breakLines(2);
+      if (markdown) out += '```\n';
+      preDepth++;
+    } else if (PARAGRAPH_TAGS.includes(tag)) {
+      breakLines(2);
+      if (markdown && /^h[1-6]$/.test(tag)) out += `${'#'.repeat(Number(tag[1]))} `;
+    } else if (LINE_TAGS.includes(tag)) {
+      breakLines(1);
+    } else if (tag === 'a') {
+      entry.href = getAttr(attrs, 'href');
+    }
+    entry.start = out.length;
+    stack.push(entry);
+  }
+
+  function closeTag(entry) {
+    const { tag } = entry;
+    const segment = out.slice(entry.start);
+    if (tag === 'a') {
+      const text = segment.trim();
+      const { href } = entry;
+      if (!text || !href || href.startsWith('#') || /^javascript:/i.test(href)) return;
+      if (markdown && !text.includes('\n')) {
+        out = `${out.slice(0, entry.start)}${segment.match(/^\s*/)[0]}[${text}](${href})`;
+      } else if (!markdown && href.replace(/^mailto:/i, '') !== text) {
+        out += ` (${href})`;
+      }
+    } else if (markdown && INLINE_MARKERS[tag] && !(tag === 'code' && preDepth)) {
+      const text = segment.trim();
+      if (!text || text.includes('\n')) return;
+      const marker = INLINE_MARKERS[tag];
+      const lead = segment.match(/^\s*/)[0];
+      const trail = segment.match(/\s*$/)[0];
+      out = `${out.slice(0, entry.start)}${lead}${marker}${text}${marker}${trail}`;
+    } else if (tag === 'tr') {
+      // Single-line cells read as one row; cells holding blocks (layout tables) stack instead
+      const cells = segment
+        .split(CELL_MARK)
+        .map((c) => c.trim())
+        .filter(Boolean);
+      const inline = cells.length > 1 && cells.every((c) => !c.includes('\n'));
+      out = out.slice(0, entry.start) + cells.join(inline ? ' | ' : '\n');
+      breakLines(1);
+    } else if (tag === 'blockquote') {
+      const quoted = segment
+        .trim()
+        .split('\n')
+        .map((line) => (line ? `> ${line}` : '>'))
+        .join('\n');
+      out = out.slice(0, entry.start) + quoted;
+      breakLines(2);
+    } else if (tag === 'pre') {
+      preDepth--;
+      if (markdown) {
+        breakLines(1);
+        out += '```';
+      }
+      breakLines(2);
+    } else if (tag === 'li') {
+      breakLines(1);
+    } else if (tag === 'ul' || tag === 'ol') {
+      breakLines(nearest(['li']) ? 1 : 2);
+    } else if (PARAGRAPH_TAGS.includes(tag)) {
+      breakLines(2);
+    } else if (LINE_TAGS.includes(tag)) {
+      breakLines(1);
+    }
+  }
+
+  function closeUntil(index) {
+    while (stack.length > index) closeTag(stack.pop());
+  }
+
+  const tokens =
+    /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  let match;
+  while ((match = tokens.exec(html))) {
+    const [token, closing, rawTag, attrs = ''] = match;
+    if (token.startsWith('<!')) continue;
+
+    if (!rawTag) {
+      const text = decodeEntities(preDepth ? token : token.replace(/\s+/g, ' '));
+      out += !preDepth && (!out || /[\s\n]$/.test(out)) ? text.replace(/^ /, '') : text;
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      const index = stack.map((e) => e.tag).lastIndexOf(tag);
+      if (index >= 0) closeUntil(index);
+    } else if (SKIP_TAGS.includes(tag)) {
+      const end = new RegExp(`</${tag}\\s*>`, 'gi');
+      end.lastIndex = tokens.lastIndex;
+      tokens.lastIndex = end.exec(html) ? end.lastIndex : html.length;
+    } else if (tag === 'br') {
+      out = out.replace(/[ \t]+$/, '') + '\n';
+    } else if (tag === 'hr') {
+      breakLines(2);
+      out += markdown ? '---' : '----------';
+      breakLines(2);
+    } else if (tag === 'img') {
+      const alt = getAttr(attrs, 'alt').trim();
+      if (alt) out += markdown ? `![${alt}](${getAttr(attrs, 'src')})` : alt;
+    } else if (!VOID_TAGS.includes(tag)) {
+      // Implied end tags: a new <p> closes an open one, a new <li> closes its sibling
+      const top = stack[stack.length - 1];
+      if (tag === 'p' && top?.tag === 'p') closeUntil(stack.length - 1);
+      if (tag === 'li') {
+        const index = stack.map((e) => e.tag).lastIndexOf('li');
+        const list = stack.map((e) => e.tag === 'ul' || e.tag === 'ol').lastIndexOf(true);
+        if (index > list) closeUntil(index);
+      }
+      openTag(tag, attrs);
+      if (attrs.trim().endsWith('/')) closeUntil(stack.length - 1);
+    }
+  }
+  closeUntil(0);
+
+  return out
+    .replace(new RegExp(CELL_MARK, 'g'), ' ')
+    .split('\n')
+    .map((line) => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Lines that introduce quoted reply history ("On <date>, <name> wrote:", Outlook headers, ...)
+const REPLY_MARKERS = [
+  /^(?:On|Le|Am|El|Il|Op|Em|W dniu)\s[^\n]{0,300}?(?:\n[^\n]{0,200}?)?(?:wrote|a écrit|schrieb|escribió|ha scritto|schreef|escreveu|napisał)\s?:[ \t]*$/m,
+  /^-{2,}\s*Original Message\s*-{2,}[ \t]*$/im,
+  /^_{10,}[ \t]*\n(?:\*\*)?(?:From|De|Von):/m,
+  /^(?:\*\*)?From:(?:\*\*)? [^\n]+\n(?:\*\*)?(?:Sent|Date):/m,
+];
+// Signature delimiter (RFC 3676 "-- ") and mobile client footers
+const SIGNATURE_MARKERS = [/^-- ?$/m, /^(?:Sent from my \w+|Get Outlook for \w+)/m];
+
+/**
+ * Drop quoted reply history and the signature, keeping only what the sender wrote
+ * @param {string} text - Body as text or markdown
+ * @returns {string}
+ */
+function stripQuotesAndSignature(text) {
+  let end = text.length;
+  for (const marker of [...REPLY_MARKERS, ...SIGNATURE_MARKERS]) {
+    const match = marker.exec(text);
+    if (match && match.index < end) end = match.index;
+  }
+  // Trailing "> " lines without an introduction are quotes too
+  const stripped = text
+    .slice(0, end)
+    .replace(/(?:\n>[^\n]*)+\s*$/, '')
+    .trim();
+  // A message that is nothing but a quote is better shown whole
+  return stripped || text;
+}
+
+module.exports = { htmlToText, stripQuotesAndSignature };
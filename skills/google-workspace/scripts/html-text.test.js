@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { htmlToText, stripQuotesAndSignature } from './html-text';
+
+describe('htmlToText', () => {
+  it('separates paragraphs and decodes entities', () => {
+    expect(htmlToText('<p>Tom &amp; Jerry</p><p>x&nbsp;y &#233; &eacute;<br>z</p>')).toBe(
+      'Tom & Jerry\n\nx y é é\nz'
+    );
+  });
+
+  it('leaves out scripts, styles and the head', () => {
+    const html = '<head><title>T</title><style>p{}</style></head><script>x()</script><p>Body</p>';
+    expect(htmlToText(html)).toBe('Body');
+  });
+
+  it('writes markdown for emphasis, lists, links and tables', () => {
+    const html =
+      '<p>Hi <b>Bob</b></p><ul><li>one</li><li>two</li></ul>' +
+      '<a href="https://example.com">site</a><table><tr><td>a</td><td>b</td></tr></table>';
+    expect(htmlToText(html, true)).toBe(
+      'Hi **Bob**\n\n- one\n- two\n\n[site](https://example.com)\n\na | b'
+    );
+  });
+});
+
+describe('stripQuotesAndSignature', () => {
+  it('cuts the quoted reply', () => {
+    const text = 'Thanks!\n\nOn Mon, 2 Nov 2026 at 09:00, Bob <bob@example.com> wrote:\n> Hi';
+    expect(stripQuotesAndSignature(text)).toBe('Thanks!');
+  });
+
+  it('cuts Outlook headers and signatures', () => {
+    expect(stripQuotesAndSignature('Yes\n\nFrom: Bob\nSent: Monday\n\nHi')).toBe('Yes');
+    expect(stripQuotesAndSignature('Sure\n-- \nAda')).toBe('Sure');
+    expect(stripQuotesAndSignature('Sure\n\nSent from my iPhone')).toBe('Sure');
+  });
+
+  it('cuts trailing quote lines without an introduction', () => {
+    expect(stripQuotesAndSignature('Agreed\n> earlier\n> text\n')).toBe('Agreed');
+  });
+
+  it('keeps a message that is only a quote', () => {
+    expect(stripQuotesAndSignature('> only quoted')).toBe('> only quoted');
+  });
+});
@@ -0,0 +1,408 @@
+/**
+ * Google Workspace - iCalendar
+ *
+ * Converts between Google Calendar events and iCalendar (RFC 5545) text for the calendar
+ * script's export and import commands.
+ *
+ *   buildCalendar  events.list items (singleEvents: false) → VCALENDAR with VTIMEZONEs
+ *   parseCalendar  VCALENDAR text → METHOD and the property lists of each VEVENT
+ *   toGoogleEvent  one parsed VEVENT → an events.import request body
+ *
+ * Floating times and unknown TZIDs are read in the fallback zone; toGoogleEvent adds a
+ * line to `warnings` (a Set) for each TZID it had to guess.
+ */
+
+const {
+  MINUTE,
+  DAY,
+  checkTimeZone,
+  zonedParts,
+  zoneOffset,
+  zonedTime,
+  addDays,
+  formatInZone,
+} = require('./time-zones');
+
+const ICS_RECURRENCE = ['RRULE', 'RDATE', 'EXDATE', 'EXRULE'];
+const PARTSTAT = {
+  accepted: 'ACCEPTED',
+  declined: 'DECLINED',
+  tentative: 'TENTATIVE',
+  needsAction: 'NEEDS-ACTION',
+};
+// Windows zone names used by Outlook/Exchange invites
+const WINDOWS_ZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Bucharest',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  UTC: 'UTC',
+};
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function quoteParam(value) {
+  return /[:;,]/.test(value) ? `"${value.replace(/"/g, "'")}"` : value;
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function property(name, value, params = []) {
+  return foldLine(`${name}${params.map((p) => `;${p}`).join('')}:${value}`);
+}
+
+// Epoch milliseconds as YYYYMMDDTHHMMSS, read as UTC fields
+function compactFields(ms) {
+  return new Date(ms)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}Z$/, '');
+}
+
+// A Google start/end as [params, value] for DTSTART/DTEND/RECURRENCE-ID/EXDATE
+function icsTime(when, fallbackZone) {
+  if (when.date) return [['VALUE=DATE'], when.date.replace(/-/g, '')];
+  const timeZone = when.timeZone || fallbackZone;
+  const p = zonedParts(new Date(when.dateTime), timeZone);
+  return [
+    [`TZID=${timeZone}`],
+    compactFields(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)),
+  ];
+}
+
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/**
+ * VTIMEZONE with each offset change between two years, found by scanning the zone day by day
+ * @returns {string[]}
+ */
+function buildTimeZone(timeZone, firstYear, lastYear) {
+  const start = Date.UTC(firstYear, 0, 1);
+  const end = Date.UTC(lastYear + 1, 0, 1);
+  const offsetAt = (ms) => zoneOffset(new Date(ms), timeZone);
+  const changes = [];
+  let previous = offsetAt(start);
+  for (let t = start + DAY; t <= end; t += DAY) {
+    const offset = offsetAt(t);
+    if (offset === previous) continue;
+    // Narrow the change down to the minute
+    let lo = t - DAY;
+    let hi = t;
+    while (hi - lo > MINUTE) {
+      const mid = lo + Math.floor((hi - lo) / 2 / MINUTE) * MINUTE;
+      if (offsetAt(mid) === previous) lo = mid;
+      else hi = mid;
+    }
+    changes.push({ at: hi, from: previous, to: offset });
+    previous = offset;
+  }
+
+  const base = offsetAt(start);
+  const standard = Math.min(base, ...changes.map((c) => c.to));
+  const component = (from, to, localStart) => {
+    const kind = to > standard ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${localStart}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${kind}`,
+    ];
+  };
+  return [
+    'BEGIN:VTIMEZONE',
+    property('TZID', timeZone),
+    ...component(base, base, compactFields(start)),
+    // A change's local start is on the wall clock from before it
+    ...changes.flatMap((c) => component(c.from, c.to, compactFields(c.at + c.from * MINUTE))),
+    'END:VTIMEZONE',
+  ];
+}
+
+function buildVEvent(ev, fallbackZone, exdates = []) {
+  const lines = ['BEGIN:VEVENT', property('UID', ev.iCalUID || `${ev.id}@google.com`)];
+  lines.push(property('DTSTAMP', compactFields(Date.now()) + 'Z'));
+  const [startParams, startValue] = icsTime(ev.start, fallbackZone);
+  lines.push(property('DTSTART', startValue, startParams));
+  const [endParams, endValue] = icsTime(ev.end, ev.start.timeZone || fallbackZone);
+  lines.push(property('DTEND', endValue, endParams));
+  if (ev.originalStartTime) {
+    const [params, value] = icsTime(ev.originalStartTime, ev.start.timeZone || fallbackZone);
+    lines.push(property('RECURRENCE-ID', value, params));
+  }
+  for (const rule of ev.recurrence || []) lines.push(foldLine(rule));
+  for (const exdate of exdates) {
+    const [params, value] = icsTime(exdate, ev.start.timeZone || fallbackZone);
+    lines.push(property('EXDATE', value, params));
+  }
+  if (ev.summary) lines.push(property('SUMMARY', escapeText(ev.summary)));
+  if (ev.description) lines.push(property('DESCRIPTION', escapeText(ev.description)));
+  if (ev.location) lines.push(property('LOCATION', escapeText(ev.location)));
+  lines.push(property('STATUS', (ev.status || 'confirmed').toUpperCase()));
+  if (ev.transparency === 'transparent') lines.push('TRANSP:TRANSPARENT');
+  if (ev.sequence) lines.push(`SEQUENCE:${ev.sequence}`);
+  if (ev.organizer?.email) {
+    const params = ev.organizer.displayName ? [`CN=${quoteParam(ev.organizer.displayName)}`] : [];
+    lines.push(property('ORGANIZER', `mailto:${ev.organizer.email}`, params));
+  }
+  for (const a of ev.attendees || []) {
+    const params = [
+      ...(a.displayName ? [`CN=${quoteParam(a.displayName)}`] : []),
+      `ROLE=${a.optional ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT'}`,
+      `PARTSTAT=${PARTSTAT[a.responseStatus] || 'NEEDS-ACTION'}`,
+    ];
+    lines.push(property('ATTENDEE', `mailto:${a.email}`, params));
+  }
+  if (ev.htmlLink) lines.push(property('URL', ev.htmlLink));
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serialize events from events.list (singleEvents: false) as a VCALENDAR
+ *
+ * Cancelled occurrences become EXDATEs on their series; changed ones are
+ * VEVENTs sharing the series UID with a RECURRENCE-ID.
+ */
+function buildCalendar(items, fallbackZone) {
+  const cancelled = new Map();
+  const events = [];
+  for (const ev of items) {
+    if (ev.status === 'cancelled') {
+      if (ev.recurringEventId && ev.originalStartTime) {
+        if (!cancelled.has(ev.recurringEventId)) cancelled.set(ev.recurringEventId, []);
+        cancelled.get(ev.recurringEventId).push(ev.originalStartTime);
+      }
+      continue;
+    }
+    events.push(ev);
+  }
+
+  const zones = new Set();
+  const years = [];
+  for (const ev of events) {
+    if (ev.start.dateTime) zones.add(ev.start.timeZone || fallbackZone);
+    if (ev.end.timeZone) zones.add(ev.end.timeZone);
+    years.push(Number((ev.start.dateTime || ev.start.date).slice(0, 4)));
+    years.push(Number((ev.end.dateTime || ev.end.date).slice(0, 4)));
+  }
+  const lastYear = Math.max(...years, new Date().getFullYear());
+  // Long-running series only need recent rules; clients fall back to the TZID name
+  const firstYear = Math.max(Math.min(...years, lastYear), lastYear - 10);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//OpenClaw//Google Workspace Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...[...zones].flatMap((zone) => buildTimeZone(zone, firstYear, lastYear)),
+    ...events.flatMap((ev) => buildVEvent(ev, fallbackZone, cancelled.get(ev.id))),
+    'END:VCALENDAR',
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Split a content line into name, params and value, honouring quoted params
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+  const head = line.slice(0, colon).match(/("[^"]*"|[^;])+/g) || [''];
+  const params = {};
+  for (const part of head.slice(1)) {
+    const eq = part.indexOf('=');
+    params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: head[0].toUpperCase(), params, value: line.slice(colon + 1), raw: line };
+}
+
+/**
+ * Parse an iCalendar document into its method and VEVENT property lists
+ * @returns {{method: string, events: Array<Record<string, object[]>>}}
+ */
+function parseCalendar(text) {
+  const lines = text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+  const stack = [];
+  const events = [];
+  let method = '';
+  let current = null;
+  for (const line of lines) {
+    const prop = parseContentLine(line.trimEnd());
+    if (!prop) continue;
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase());
+      if (stack[stack.length - 1] === 'VEVENT') current = {};
+    } else if (prop.name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+    } else if (stack[stack.length - 1] === 'VEVENT' && current) {
+      (current[prop.name] = current[prop.name] || []).push(prop);
+    } else if (prop.name === 'METHOD' && stack.length === 1) {
+      method = prop.value.toUpperCase();
+    }
+  }
+  return { method, events };
+}
+
+// DTSTART/DTEND-style value as a Google start/end
+function googleTime(prop, fallbackZone, warnings) {
+  const { params } = prop;
+  const value = prop.value.trim();
+  const date = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (date) return { date: `${date[1]}-${date[2]}-${date[3]}` };
+  if (params.VALUE === 'DATE') throw new Error(`Can't read date "${value}"`);
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!m) throw new Error(`Can't read date-time "${value}"`);
+  const [, year, month, day, hour, minute, second] = m.map(Number);
+  if (m[7])
+    return {
+      dateTime: new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString(),
+    };
+
+  let timeZone = fallbackZone;
+  const tzid = (params.TZID || '').replace(/^\//, '');
+  if (tzid) {
+    try {
+      timeZone = checkTimeZone(WINDOWS_ZONES[tzid] || tzid);
+    } catch {
+      warnings.add(`Unknown TZID "${tzid}"; read as ${fallbackZone}`);
+    }
+  }
+  const instant = zonedTime({ year, month, day, hour, minute }, timeZone);
+  return {
+    dateTime: formatInZone(new Date(instant.getTime() + second * 1000), timeZone),
+    timeZone,
+  };
+}
+
+// ISO 8601 duration (P1DT2H, PT30M, P1W) in milliseconds
+function parseDuration(value) {
+  const m = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) throw new Error(`Can't read duration "${value}"`);
+  const [, sign, w = 0, d = 0, h = 0, min = 0, sec = 0] = m;
+  const ms =
+    ((Number(w) * 7 + Number(d)) * 24 * 3600 + Number(h) * 3600 + Number(min) * 60 + Number(sec)) *
+    1000;
+  return sign === '-' ? -ms : ms;
+}
+
+// One parsed VEVENT as an events.import request body
+function toGoogleEvent(props, method, fallbackZone, warnings) {
+  const first = (name) => props[name]?.[0];
+  const text = (name) => (first(name) ? unescapeText(first(name).value) : undefined);
+  if (!first('DTSTART')) throw new Error('VEVENT without DTSTART');
+
+  const start = googleTime(first('DTSTART'), fallbackZone, warnings);
+  let end;
+  if (first('DTEND')) {
+    end = googleTime(first('DTEND'), fallbackZone, warnings);
+  } else if (start.date) {
+    const days = first('DURATION') ? Math.round(parseDuration(first('DURATION').value) / DAY) : 1;
+    const [year, month, day] = start.date.split('-').map(Number);
+    const next = addDays({ year, month, day }, Math.max(days, 1));
+    const pad = (n) => String(n).padStart(2, '0');
+    end = { date: `${next.year}-${pad(next.month)}-${pad(next.day)}` };
+  } else {
+    const length = first('DURATION') ? parseDuration(first('DURATION').value) : 0;
+    const endTime = new Date(Date.parse(start.dateTime) + length);
+    end = start.timeZone
+      ? { dateTime: formatInZone(endTime, start.timeZone), timeZone: start.timeZone }
+      : { dateTime: endTime.toISOString() };
+  }
+
+  const status = (first('STATUS')?.value || '').toUpperCase();
+  const person = (prop) => ({
+    email: prop.value.replace(/^mailto:/i, ''),
+    ...(prop.params.CN ? { displayName: prop.params.CN } : {}),
+  });
+  const event = {
+    iCalUID: first('UID')?.value,
+    summary: text('SUMMARY'),
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    start,
+    end,
+    status:
+      method === 'CANCEL' || status === 'CANCELLED'
+        ? 'cancelled'
+        : status === 'TENTATIVE'
+          ? 'tentative'
+          : 'confirmed',
+    sequence: first('SEQUENCE') ? Number(first('SEQUENCE').value) : undefined,
+    transparency:
+      first('TRANSP')?.value.toUpperCase() === 'TRANSPARENT' ? 'transparent' : undefined,
+    organizer: first('ORGANIZER') ? person(first('ORGANIZER')) : undefined,
+    attendees: (props.ATTENDEE || []).map((a) => ({
+      ...person(a),
+      responseStatus:
+        Object.keys(PARTSTAT).find(
+          (k) => PARTSTAT[k] === (a.params.PARTSTAT || '').toUpperCase()
+        ) || 'needsAction',
+      ...(a.params.ROLE === 'OPT-PARTICIPANT' ? { optional: true } : {}),
+    })),
+  };
+  const recurrence = ICS_RECURRENCE.flatMap((name) => (props[name] || []).map((p) => p.raw));
+  if (recurrence.length) event.recurrence = recurrence;
+  if (first('RECURRENCE-ID')) {
+    event.originalStartTime = googleTime(first('RECURRENCE-ID'), fallbackZone, warnings);
+  }
+  if (!event.iCalUID) throw new Error(`"${event.summary || 'Untitled'}" has no UID`);
+  return JSON.parse(JSON.stringify(event));
+}
+
+module.exports = { buildCalendar, parseCalendar, googleTime, parseDuration, toGoogleEvent };
@@ -0,0 +1,220 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendar, parseCalendar, googleTime, parseDuration, toGoogleEvent } from './ical';
+
+const prop = (value, params = {}) => ({ value, params });
+const event = (lines) => parseCalendar(['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n'));
+const importOne = (lines, fallbackZone = 'UTC') => {
+  const { method, events } = event(['BEGIN:VEVENT', 'UID:u1', ...lines, 'END:VEVENT']);
+  return toGoogleEvent(events[0], method, fallbackZone, new Set());
+};
+
+describe('googleTime', () => {
+  it('reads dates as all-day', () => {
+    expect(googleTime(prop('20261102', { VALUE: 'DATE' }), 'UTC', new Set())).toEqual({
+      date: '2026-11-02',
+    });
+  });
+
+  it('rejects a VALUE=DATE that is not a date', () => {
+    expect(() => googleTime(prop('20261102T090000', { VALUE: 'DATE' }), 'UTC', new Set())).toThrow(
+      'Can\'t read date "20261102T090000"'
+    );
+  });
+
+  it('reads UTC times without a zone', () => {
+    expect(googleTime(prop('20261102T090000Z'), 'Europe/Berlin', new Set())).toEqual({
+      dateTime: '2026-11-02T09:00:00.000Z',
+    });
+  });
+
+  it('reads TZID times in that zone', () => {
+    expect(googleTime(prop('20260702T090030', { TZID: 'Asia/Tokyo' }), 'UTC', new Set())).toEqual({
+      dateTime: '2026-07-02T09:00:30+09:00',
+      timeZone: 'Asia/Tokyo',
+    });
+  });
+
+  it('maps Windows zone names', () => {
+    const zone = { TZID: 'W. Europe Standard Time' };
+    const time = googleTime(prop('20260702T090000', zone), 'UTC', new Set());
+    expect(time).toEqual({ dateTime: '2026-07-02T09:00:00+02:00', timeZone: 'Europe/Berlin' });
+  });
+
+  it('reads floating times and unknown zones in the fallback zone', () => {
+    const warnings = new Set();
+    expect(googleTime(prop('20260702T090000'), 'America/New_York', warnings).timeZone).toBe(
+      'America/New_York'
+    );
+    expect(warnings.size).toBe(0);
+    const time = googleTime(prop('20260702T090000', { TZID: 'Custom 1' }), 'UTC', warnings);
+    expect(time).toEqual({ dateTime: '2026-07-02T09:00:00+00:00', timeZone: 'UTC' });
+    expect([...warnings]).toEqual(['Unknown TZID "Custom 1"; read as UTC']);
+  });
+
+  it('rejects unreadable values', () => {
+    expect(() => googleTime(prop('2026-07-02 09:00'), 'UTC', new Set())).toThrow(
+      'Can\'t read date-time "2026-07-02 09:00"'
+    );
+  });
+});
+
+describe('parseDuration', () => {
+  it('reads weeks, days and times', () => {
+    expect(parseDuration('P1W')).toBe(7 * 86400000);
+    expect(parseDuration('P1DT2H30M')).toBe((24 + 2.5) * 3600000);
+    expect(parseDuration('-PT15S')).toBe(-15000);
+  });
+
+  it('rejects unreadable values', () => {
+    expect(() => parseDuration('1 hour')).toThrow('Can\'t read duration "1 hour"');
+  });
+});
+
+describe('parseCalendar', () => {
+  it('unfolds lines and splits quoted parameters', () => {
+    const { method, events } = event([
+      'METHOD:request',
+      'BEGIN:VEVENT',
+      'ATTENDEE;CN="Smith; Bob: Jr";PARTSTAT=ACCEPTED:mailto:bob@',
+      ' example.com',
+      'SUMMARY:Long',
+      '\ttitle',
+      'END:VEVENT',
+    ]);
+    expect(method).toBe('REQUEST');
+    expect(events).toHaveLength(1);
+    expect(events[0].ATTENDEE[0]).toMatchObject({
+      name: 'ATTENDEE',
+      params: { CN: 'Smith; Bob: Jr', PARTSTAT: 'ACCEPTED' },
+      value: 'mailto:bob@example.com',
+    });
+    expect(events[0].SUMMARY[0].value).toBe('Longtitle');
+  });
+
+  it('skips properties of nested components', () => {
+    const { events } = event([
+      'BEGIN:VEVENT',
+      'SUMMARY:Review',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'END:VEVENT',
+    ]);
+    expect(Object.keys(events[0])).toEqual(['SUMMARY']);
+  });
+});
+
+describe('toGoogleEvent', () => {
+  it('unescapes text and maps attendees', () => {
+    const ev = importOne([
+      'DTSTART:20261102T090000Z',
+      'DTEND:20261102T100000Z',
+      'SUMMARY:Plan\\; review\\, v2',
+      'DESCRIPTION:line 1\\nline 2',
+      'STATUS:TENTATIVE',
+      'ATTENDEE;CN=Bob;PARTSTAT=DECLINED:mailto:bob@example.com',
+      'ATTENDEE;ROLE=OPT-PARTICIPANT:MAILTO:al@example.com',
+    ]);
+    expect(ev).toMatchObject({
+      iCalUID: 'u1',
+      summary: 'Plan; review, v2',
+      description: 'line 1\nline 2',
+      status: 'tentative',
+      attendees: [
+        { email: 'bob@example.com', displayName: 'Bob', responseStatus: 'declined' },
+        { email: 'al@example.com', responseStatus: 'needsAction', optional: true },
+      ],
+    });
+  });
+
+  it('ends all-day events without DTEND on the next day', () => {
+    expect(importOne(['DTSTART;VALUE=DATE:20261231']).end).toEqual({ date: '2027-01-01' });
+    expect(importOne(['DTSTART;VALUE=DATE:20261230', 'DURATION:P3D']).end).toEqual({
+      date: '2027-01-02',
+    });
+  });
+
+  it('ends timed events after their DURATION, in their zone', () => {
+    const ev = importOne(['DTSTART;TZID=Europe/Berlin:20261025T013000', 'DURATION:PT2H']);
+    expect(ev.end).toEqual({ dateTime: '2026-10-25T02:30:00+01:00', timeZone: 'Europe/Berlin' });
+  });
+
+  it('keeps recurrence lines and the occurrence they replace', () => {
+    const ev = importOne([
+      'DTSTART:20261109T100000Z',
+      'RRULE:FREQ=WEEKLY',
+      'EXDATE:20261116T100000Z',
+      'RECURRENCE-ID:20261109T090000Z',
+    ]);
+    expect(ev.recurrence).toEqual(['RRULE:FREQ=WEEKLY', 'EXDATE:20261116T100000Z']);
+    expect(ev.originalStartTime).toEqual({ dateTime: '2026-11-09T09:00:00.000Z' });
+  });
+
+  it('cancels every event of a CANCEL message', () => {
+    const { events } = event([
+      'METHOD:CANCEL',
+      'BEGIN:VEVENT',
+      'UID:u1',
+      'DTSTART:20261102T090000Z',
+      'END:VEVENT',
+    ]);
+    expect(toGoogleEvent(events[0], 'CANCEL', 'UTC', new Set()).status).toBe('cancelled');
+  });
+
+  it('rejects events without a start or a UID', () => {
+    const { events } = event(['BEGIN:VEVENT', 'SUMMARY:Lunch', 'END:VEVENT']);
+    expect(() => toGoogleEvent(events[0], '', 'UTC', new Set())).toThrow('VEVENT without DTSTART');
+    events[0].DTSTART = [prop('20261102T120000Z')];
+    expect(() => toGoogleEvent(events[0], '', 'UTC', new Set())).toThrow('"Lunch" has no UID');
+  });
+});
+
+describe('buildCalendar', () => {
+  const series = {
+    id: 'abc',
+    summary: 'Plan; review, v2',
+    description: 'line 1\nline 2',
+    start: { dateTime: '2026-11-02T09:00:00+01:00', timeZone: 'Europe/Berlin' },
+    end: { dateTime: '2026-11-02T10:00:00+01:00', timeZone: 'Europe/Berlin' },
+    recurrence: ['RRULE:FREQ=WEEKLY;BYDAY=MO'],
+    organizer: { email: 'me@example.com' },
+    attendees: [
+      { email: 'bob.smith@example.com', displayName: 'Smith, Bob', responseStatus: 'accepted' },
+    ],
+  };
+  const skipped = {
+    id: 'abc_20261109',
+    status: 'cancelled',
+    recurringEventId: 'abc',
+    originalStartTime: { dateTime: '2026-11-09T09:00:00+01:00', timeZone: 'Europe/Berlin' },
+  };
+
+  it('writes the zone, the series and its skipped occurrences', () => {
+    const text = buildCalendar([series, skipped], 'UTC');
+    expect(text).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/Berlin\r\n');
+    expect(text).toContain('DTSTART:20261025T030000\r\nTZOFFSETFROM:+0200\r\nTZOFFSETTO:+0100');
+    expect(text).toContain('DTSTART;TZID=Europe/Berlin:20261102T090000\r\n');
+    expect(text).toContain('EXDATE;TZID=Europe/Berlin:20261109T090000\r\n');
+    expect(text.split('\r\n').filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(1);
+  });
+
+  it('folds lines at 75 octets', () => {
+    const text = buildCalendar([{ ...series, summary: 'é'.repeat(60) }], 'UTC');
+    for (const line of text.split('\r\n')) expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+  });
+
+  it('reads back as the same event', () => {
+    const { method, events } = parseCalendar(buildCalendar([series, skipped], 'UTC'));
+    expect(toGoogleEvent(events[0], method, 'UTC', new Set())).toEqual({
+      iCalUID: 'abc@google.com',
+      summary: series.summary,
+      description: series.description,
+      start: series.start,
+      end: series.end,
+      status: 'confirmed',
+      organizer: series.organizer,
+      attendees: series.attendees,
+      recurrence: [...series.recurrence, 'EXDATE;TZID=Europe/Berlin:20261109T090000'],
+    });
+  });
+});
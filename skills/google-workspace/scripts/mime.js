@@ -0,0 +1,137 @@
+/**
+ * Google Workspace - MIME Messages
+ *
+ * Builds the RFC 2822 messages the Gmail script sends and drafts: encoded headers,
+ * a text body with an optional HTML alternative, and base64 attachments. Also splits
+ * and reads address headers for replies.
+ *
+ * Usage:
+ *   const { buildMimeMessage } = require('./mime');
+ *   const raw = buildMimeMessage({ to: ['bob@example.com'], subject: 'Hi', text: 'Hello' });
+ */
+
+const crypto = require('crypto');
+const { htmlToText } = require('./html-text');
+
+// A line break in a header value would start a new header (e.g. an extra Bcc)
+function checkHeaderValue(name, value) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some((v) => typeof v === 'string' && /[\r\n]/.test(v))) {
+    throw new Error(`${name} must not contain line breaks`);
+  }
+}
+
+// RFC 2047 encoded-word for non-ASCII header text
+function encodeHeader(value) {
+  if (/^[\x00-\x7F]*$/.test(value)) return value;
+  return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function encodeAddresses(addresses) {
+  return addresses
+    .map((addr) => {
+      const match = addr.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+      if (!match || !match[1]) return addr.trim();
+      const name = encodeHeader(match[1]);
+      return `${name === match[1] ? `"${name}"` : name} <${match[2]}>`;
+    })
+    .join(', ');
+}
+
+// Split a header address list on commas outside quotes and angle brackets
+function splitAddresses(value) {
+  const out = [];
+  let current = '';
+  let quoted = false;
+  let angle = false;
+  for (const ch of value || '') {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === '<' && !quoted) angle = true;
+    else if (ch === '>' && !quoted) angle = false;
+    if (ch === ',' && !quoted && !angle) {
+      if (current.trim()) out.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) out.push(current.trim());
+  return out;
+}
+
+function emailOf(address) {
+  const match = address.match(/<([^>]+)>/);
+  return (match ? match[1] : address).trim().toLowerCase();
+}
+
+function base64Lines(buffer) {
+  return buffer.toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function textPart(content, subtype) {
+  return [
+    `Content-Type: text/${subtype}; charset="UTF-8"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(Buffer.from(content, 'utf8')),
+  ].join('\r\n');
+}
+
+function attachmentPart({ filename, mimeType, data }) {
+  // RFC 2231 parameter for non-ASCII names, with a plain fallback for old clients
+  const ascii = filename.replace(/[^\x20-\x7E]/g, '_').replace(/"/g, '');
+  const extended = ascii === filename ? '' : `; filename*=UTF-8''${encodeURIComponent(filename)}`;
+  return [
+    `Content-Type: ${mimeType}; name="${ascii}"`,
+    `Content-Disposition: attachment; filename="${ascii}"${extended}`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(data),
+  ].join('\r\n');
+}
+
+function multipart(subtype, parts) {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  const body = parts.map((p) => `--${boundary}\r\n${p}`).join('\r\n') + `\r\n--${boundary}--`;
+  return `Content-Type: multipart/${subtype}; boundary="${boundary}"\r\n\r\n${body}`;
+}
+
+/**
+ * Build an RFC 2822 message
+ * @param {object} msg - { to, cc, bcc, subject, text, html, attachments, inReplyTo, references }
+ * @returns {string} The full message, CRLF line endings
+ */
+function buildMimeMessage(msg) {
+  for (const [name, value] of [
+    ['To', msg.to],
+    ['Cc', msg.cc],
+    ['Bcc', msg.bcc],
+    ['Subject', msg.subject],
+    ['In-Reply-To', msg.inReplyTo],
+    ['References', msg.references],
+  ]) {
+    checkHeaderValue(name, value);
+  }
+
+  const headers = [];
+  if (msg.to?.length) headers.push(`To: ${encodeAddresses(msg.to)}`);
+  if (msg.cc?.length) headers.push(`Cc: ${encodeAddresses(msg.cc)}`);
+  // Gmail delivers to Bcc recipients and strips the header before sending
+  if (msg.bcc?.length) headers.push(`Bcc: ${encodeAddresses(msg.bcc)}`);
+  headers.push(`Subject: ${encodeHeader(msg.subject || '')}`);
+  if (msg.inReplyTo) headers.push(`In-Reply-To: ${msg.inReplyTo}`);
+  if (msg.references) headers.push(`References: ${msg.references}`);
+  headers.push('MIME-Version: 1.0');
+
+  const text = msg.text ?? (msg.html ? htmlToText(msg.html) : '');
+  let body = msg.html
+    ? multipart('alternative', [textPart(text, 'plain'), textPart(msg.html, 'html')])
+    : textPart(text, 'plain');
+  if (msg.attachments?.length) {
+    body = multipart('mixed', [body, ...msg.attachments.map(attachmentPart)]);
+  }
+
+  return `${headers.join('\r\n')}\r\n${body}\r\n`;
+}
+
+module.exports = { encodeHeader, splitAddresses, emailOf, buildMimeMessage };
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { encodeHeader, splitAddresses, emailOf, buildMimeMessage } from './mime';
+
+const headerOf = (raw, name) => raw.match(new RegExp(`^${name}: (.*)$`, 'm'))?.[1];
+// Decoded bodies of the parts with the given Content-Type, in order
+const partsOf = (raw, type) =>
+  raw
+    .split(`Content-Type: ${type};`)
+    .slice(1)
+    .map((rest) => rest.split('\r\n\r\n')[1].split('\r\n--')[0].replace(/\r\n/g, ''))
+    .map((base64) => Buffer.from(base64, 'base64').toString('utf8'));
+
+describe('encodeHeader', () => {
+  it('leaves ASCII alone', () => {
+    expect(encodeHeader('Status report')).toBe('Status report');
+  });
+
+  it('writes other text as a UTF-8 encoded word', () => {
+    expect(encodeHeader('Grüße')).toBe('=?UTF-8?B?R3LDvMOfZQ==?=');
+  });
+});
+
+describe('splitAddresses', () => {
+  it('splits on commas outside quotes and angle brackets', () => {
+    expect(splitAddresses('"Smith, Bob" <bob@example.com>, al@example.com,')).toEqual([
+      '"Smith, Bob" <bob@example.com>',
+      'al@example.com',
+    ]);
+  });
+
+  it('returns nothing for a missing header', () => {
+    expect(splitAddresses(undefined)).toEqual([]);
+  });
+});
+
+describe('emailOf', () => {
+  it('reads the address inside angle brackets, in lower case', () => {
+    expect(emailOf('Bob <Bob@Example.com>')).toBe('bob@example.com');
+    expect(emailOf(' AL@example.com ')).toBe('al@example.com');
+  });
+});
+
+describe('buildMimeMessage', () => {
+  it('writes headers and a plain-text body with CRLF line endings', () => {
+    const raw = buildMimeMessage({
+      to: ['bob@example.com'],
+      cc: ['Jürgen <j@example.com>', '"Smith, Al" <al@example.com>'],
+      bcc: ['audit@example.com'],
+      subject: 'Größe',
+      text: 'Hello\nthere',
+      inReplyTo: '<m1@mail.example.com>',
+      references: '<m0@mail.example.com> <m1@mail.example.com>',
+    });
+    expect(headerOf(raw, 'To')).toBe('bob@example.com');
+    expect(headerOf(raw, 'Cc')).toBe(
+      '=?UTF-8?B?SsO8cmdlbg==?= <j@example.com>, "Smith, Al" <al@example.com>'
+    );
+    expect(headerOf(raw, 'Bcc')).toBe('audit@example.com');
+    expect(headerOf(raw, 'Subject')).toBe('=?UTF-8?B?R3LDtsOfZQ==?=');
+    expect(headerOf(raw, 'In-Reply-To')).toBe('<m1@mail.example.com>');
+    expect(raw).toContain('MIME-Version: 1.0\r\nContent-Type: text/plain; charset="UTF-8"\r\n');
+    expect(partsOf(raw, 'text/plain')).toEqual(['Hello\nthere']);
+    expect(raw.replace(/\r\n/g, '')).not.toContain('\n');
+  });
+
+  it('rejects line breaks that would add headers', () => {
+    expect(() =>
+      buildMimeMessage({ to: ['bob@example.com\r\nBcc: eve@example.com'], subject: 'Hi' })
+    ).toThrow('To must not contain line breaks');
+    expect(() => buildMimeMessage({ to: ['bob@example.com'], subject: 'Hi\nBcc: eve' })).toThrow(
+      'Subject must not contain line breaks'
+    );
+  });
+
+  it('sends HTML with a plain-text alternative made from it', () => {
+    const raw = buildMimeMessage({ to: ['bob@example.com'], html: '<p>Hi <b>Bob</b></p>' });
+    expect(raw).toMatch(/^Content-Type: multipart\/alternative; boundary="([^"]+)"/m);
+    expect(partsOf(raw, 'text/plain')).toEqual(['Hi Bob']);
+    expect(partsOf(raw, 'text/html')).toEqual(['<p>Hi <b>Bob</b></p>']);
+  });
+
+  it('attaches files after the body, naming non-ASCII files both ways', () => {
+    const data = Buffer.alloc(100, 'x');
+    const raw = buildMimeMessage({
+      to: ['bob@example.com'],
+      text: 'See attached',
+      attachments: [{ filename: 'résumé.pdf', mimeType: 'application/pdf', data }],
+    });
+    const [, outer] = raw.match(/^Content-Type: multipart\/mixed; boundary="([^"]+)"/m);
+    expect(raw.trimEnd().endsWith(`--${outer}--`)).toBe(true);
+    expect(raw).toContain('Content-Type: application/pdf; name="r_sum_.pdf"\r\n');
+    expect(raw).toContain(
+      `filename="r_sum_.pdf"; filename*=UTF-8''${encodeURIComponent('résumé.pdf')}\r\n`
+    );
+    expect(partsOf(raw, 'application/pdf')).toEqual(['x'.repeat(100)]);
+    expect(partsOf(raw, 'text/plain')).toEqual(['See attached']);
+    for (const line of raw.split('\r\n')) expect(line.length).toBeLessThanOrEqual(998);
+    expect(raw).toMatch(/^[A-Za-z0-9+/]{76}$/m);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Google Workspace - Recurrence Rules
+ *
+ * Compiles the calendar script's --every/--interval/--on/--until/--count flags into
+ * an RFC 5545 RRULE, and describes RRULEs in words for event listings.
+ *
+ * Usage:
+ *   const { buildRRule, describeRecurrence } = require('./recurrence');
+ *   buildRRule({ every: 'weekly', on: 'mo,we' }, event.start); // RRULE:FREQ=WEEKLY;BYDAY=MO,WE
+ *   describeRecurrence(event.recurrence, 'Europe/Berlin'); // Every week on Monday and Wednesday
+ */
+
+const { positiveInt, splitList } = require('./cli-options');
+const { formatInZone, parseWhen } = require('./time-zones');
+
+const FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY' };
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+const DAY_NAMES = {
+  MO: 'Monday',
+  TU: 'Tuesday',
+  WE: 'Wednesday',
+  TH: 'Thursday',
+  FR: 'Friday',
+  SA: 'Saturday',
+  SU: 'Sunday',
+};
+const ORDINALS = {
+  1: 'first',
+  2: 'second',
+  3: 'third',
+  4: 'fourth',
+  5: 'fifth',
+  '-1': 'last',
+  '-2': 'second to last',
+};
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+// 20270101T225959Z, the UTC form RRULE wants for UNTIL
+function compactUtc(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+// MO, mon, monday → MO
+function dayCode(name) {
+  const code = name.slice(0, 2).toUpperCase();
+  if (!DAY_NAMES[code] || !DAY_NAMES[code].toLowerCase().startsWith(name.toLowerCase())) {
+    throw new Error(`Unknown day "${name}" in --on`);
+  }
+  return code;
+}
+
+/**
+ * Compile --every/--interval/--on/--until/--count into an RRULE line
+ * @param {object} options - Parsed flags
+ * @param {{date?: string, timeZone?: string}} start - The event's start, to express UNTIL
+ * @returns {string}
+ */
+function buildRRule(options, start) {
+  const every = options.every.toLowerCase();
+  const parts = [];
+  if (every === 'weekdays') {
+    if (options.on) throw new Error('--every weekdays already picks the days; drop --on');
+    parts.push('FREQ=WEEKLY', 'BYDAY=MO,TU,WE,TH,FR');
+  } else if (FREQUENCIES[every]) {
+    parts.push(`FREQ=${FREQUENCIES[every]}`);
+  } else {
+    throw new Error('--every must be daily, weekly, weekdays, monthly or yearly');
+  }
+
+  const interval = positiveInt(options.interval, '--interval', 1);
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (options.on) {
+    const byDay = [];
+    const byMonthDay = [];
+    const periodic = every === 'monthly' || every === 'yearly';
+    for (const item of splitList(options.on)) {
+      const match = item.match(/^([+-]?\d{1,2})?([a-z]+)?$/i);
+      if (!match || (!match[1] && !match[2])) throw new Error(`Can't read "${item}" in --on`);
+      const [, number, name] = match;
+      if (number && !name) {
+        byMonthDay.push(number);
+      } else {
+        if (number && !periodic)
+          throw new Error('Ordinal days like 1MO need --every monthly or yearly');
+        byDay.push(`${number || ''}${dayCode(name)}`);
+      }
+    }
+    if (byMonthDay.length && !periodic) {
+      throw new Error('Days of the month in --on need --every monthly or yearly');
+    }
+    if (byDay.length) parts.push(`BYDAY=${byDay.join(',')}`);
+    if (byMonthDay.length) parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+  }
+
+  if (options.until && options.count) throw new Error('Use either --until or --count, not both');
+  if (options.count) parts.push(`COUNT=${positiveInt(options.count, '--count')}`);
+  if (options.until) {
+    const match = options.until.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) throw new Error('--until must be a date, YYYY-MM-DD');
+    if (start.date) {
+      parts.push(`UNTIL=${match[1]}${match[2]}${match[3]}`);
+    } else {
+      // Timed events need UNTIL in UTC: the last second of that day in the event's zone
+      const end = parseWhen(options.until, start.timeZone, true);
+      parts.push(`UNTIL=${compactUtc(new Date(end.getTime() - 1000))}`);
+    }
+  }
+  return `RRULE:${parts.join(';')}`;
+}
+
+function joinWords(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function describeRule(rule, timeZone) {
+  const fields = Object.fromEntries(
+    rule
+      .replace(/^RRULE:/, '')
+      .split(';')
+      .map((part) => part.split('='))
+  );
+  const unit = UNITS[fields.FREQ];
+  if (!unit) return rule;
+  const interval = Number(fields.INTERVAL || 1);
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (fields.BYDAY) {
+    const days = fields.BYDAY.split(',');
+    if (fields.FREQ === 'WEEKLY' && days.join(',') === 'MO,TU,WE,TH,FR') {
+      text = interval === 1 ? 'Every weekday' : `${text} on weekdays`;
+    } else {
+      const names = days.map((day) => {
+        const [, ordinal, code] = day.match(/^([+-]?\d+)?([A-Z]{2})$/) || [];
+        const name = DAY_NAMES[code] || day;
+        return ordinal ? `the ${ORDINALS[Number(ordinal)] || `#${ordinal}`} ${name}` : name;
+      });
+      text += ` on ${joinWords(names)}`;
+    }
+  }
+  if (fields.BYMONTHDAY) {
+    const days = fields.BYMONTHDAY.split(',').map((d) =>
+      d === '-1' ? 'the last day' : `day ${d}`
+    );
+    text += ` on ${joinWords(days)}`;
+  }
+  if (fields.BYMONTH) {
+    text += ` in ${joinWords(fields.BYMONTH.split(',').map((m) => MONTH_NAMES[m - 1] || m))}`;
+  }
+  if (fields.COUNT) text += `, ${fields.COUNT} times`;
+  if (fields.UNTIL) {
+    const [, y, m, d, time] = fields.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/) || [];
+    if (!y) {
+      text += `, until ${fields.UNTIL}`;
+    } else if (time && time.endsWith('Z')) {
+      const until = new Date(
+        `${y}-${m}-${d}T${time.slice(1, 3)}:${time.slice(3, 5)}:${time.slice(5, 7)}Z`
+      );
+      text += `, until ${formatInZone(until, timeZone || 'UTC').slice(0, 10)}`;
+    } else {
+      text += `, until ${y}-${m}-${d}`;
+    }
+  }
+  return text;
+}
+
+/**
+ * Readable summary of an event's recurrence lines
+ * @param {string[]} recurrence - RRULE/EXDATE/RDATE lines
+ * @param {string} [timeZone] - Zone to show UNTIL dates in
+ * @returns {string} e.g. "Every 2 weeks on Monday and Wednesday, until 2027-01-01"
+ */
+function describeRecurrence(recurrence, timeZone) {
+  const rules = recurrence.filter((line) => line.startsWith('RRULE:'));
+  const exceptions = recurrence
+    .filter((line) => line.startsWith('EXDATE'))
+    .reduce((n, line) => n + line.split(':')[1].split(',').length, 0);
+  let text = rules.map((rule) => describeRule(rule, timeZone)).join('; ') || 'Custom recurrence';
+  if (exceptions) text += ` (${exceptions} skipped)`;
+  return text;
+}
+
+// The RRULE ended at `until` instead of its own UNTIL/COUNT
+function truncateRule(rule, until) {
+  const parts = rule
+    .replace(/^RRULE:/, '')
+    .split(';')
+    .filter((part) => !/^(UNTIL|COUNT)=/.test(part));
+  return `RRULE:${[...parts, `UNTIL=${until}`].join(';')}`;
+}
+
+module.exports = { compactUtc, buildRRule, describeRule, describeRecurrence, truncateRule };
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { compactUtc, buildRRule, describeRecurrence, truncateRule } from './recurrence';
+
+const timed = { dateTime: '2026-11-02T09:00:00', timeZone: 'Europe/Berlin' };
+const allDay = { date: '2026-11-02' };
+
+describe('compactUtc', () => {
+  it('drops separators and milliseconds', () => {
+    expect(compactUtc(new Date('2027-01-01T22:59:59.500Z'))).toBe('20270101T225959Z');
+  });
+});
+
+describe('buildRRule', () => {
+  it('compiles a weekly rule on named days', () => {
+    expect(buildRRule({ every: 'weekly', interval: '2', on: 'mo, Wed' }, timed)).toBe(
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE'
+    );
+  });
+
+  it('spells out weekdays', () => {
+    expect(buildRRule({ every: 'Weekdays' }, timed)).toBe('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  });
+
+  it('reads ordinal days and days of the month for monthly rules', () => {
+    expect(buildRRule({ every: 'monthly', on: '1mo,-1fr' }, timed)).toBe(
+      'RRULE:FREQ=MONTHLY;BYDAY=1MO,-1FR'
+    );
+    expect(buildRRule({ every: 'monthly', on: '15', count: '6' }, timed)).toBe(
+      'RRULE:FREQ=MONTHLY;BYMONTHDAY=15;COUNT=6'
+    );
+  });
+
+  it('ends all-day series on the date itself', () => {
+    expect(buildRRule({ every: 'daily', until: '2026-12-31' }, allDay)).toBe(
+      'RRULE:FREQ=DAILY;UNTIL=20261231'
+    );
+  });
+
+  it('ends timed series at the last second of the day in their zone', () => {
+    expect(buildRRule({ every: 'daily', until: '2026-12-31' }, timed)).toBe(
+      'RRULE:FREQ=DAILY;UNTIL=20261231T225959Z'
+    );
+  });
+
+  it('rejects combinations Google would misread', () => {
+    expect(() => buildRRule({ every: 'weekly', on: '1mo' }, timed)).toThrow(
+      'Ordinal days like 1MO need --every monthly or yearly'
+    );
+    expect(() => buildRRule({ every: 'weekly', on: '15' }, timed)).toThrow(
+      'Days of the month in --on need --every monthly or yearly'
+    );
+    expect(() => buildRRule({ every: 'weekdays', on: 'mo' }, timed)).toThrow('drop --on');
+    expect(() => buildRRule({ every: 'daily', until: '2026-12-31', count: '3' }, timed)).toThrow(
+      'Use either --until or --count, not both'
+    );
+  });
+
+  it('rejects unreadable values', () => {
+    expect(() => buildRRule({ every: 'hourly' }, timed)).toThrow('--every must be daily');
+    expect(() => buildRRule({ every: 'weekly', on: 'mx' }, timed)).toThrow(
+      'Unknown day "mx" in --on'
+    );
+    expect(() => buildRRule({ every: 'weekly', on: 'mon-fri' }, timed)).toThrow(
+      'Can\'t read "mon-fri" in --on'
+    );
+    expect(() => buildRRule({ every: 'daily', until: '31/12/2026' }, timed)).toThrow(
+      '--until must be a date, YYYY-MM-DD'
+    );
+    expect(() => buildRRule({ every: 'daily', interval: '0' }, timed)).toThrow(
+      '--interval must be a positive number'
+    );
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('describes weekly rules and skipped dates', () => {
+    const recurrence = [
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE',
+      'EXDATE;TZID=Europe/Berlin:20261109T090000,20261116T090000',
+    ];
+    expect(describeRecurrence(recurrence)).toBe(
+      'Every 2 weeks on Monday and Wednesday (2 skipped)'
+    );
+  });
+
+  it('describes weekdays, ordinals and counts', () => {
+    expect(describeRecurrence(['RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'])).toBe('Every weekday');
+    expect(describeRecurrence(['RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'])).toBe(
+      'Every month on the last Friday, 3 times'
+    );
+    expect(describeRecurrence(['RRULE:FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=1'])).toBe(
+      'Every year on day 1 in March'
+    );
+  });
+
+  it('shows a UTC UNTIL as a date in the event zone', () => {
+    const recurrence = ['RRULE:FREQ=DAILY;UNTIL=20261231T225959Z'];
+    expect(describeRecurrence(recurrence, 'Europe/Berlin')).toBe('Every day, until 2026-12-31');
+    expect(describeRecurrence(recurrence, 'Asia/Tokyo')).toBe('Every day, until 2027-01-01');
+  });
+
+  it('falls back for rules it cannot read', () => {
+    expect(describeRecurrence(['RDATE:20261224'])).toBe('Custom recurrence');
+    expect(describeRecurrence(['RRULE:FREQ=HOURLY'])).toBe('RRULE:FREQ=HOURLY');
+  });
+});
+
+describe('truncateRule', () => {
+  it('replaces UNTIL or COUNT with the new end', () => {
+    expect(truncateRule('RRULE:FREQ=WEEKLY;COUNT=10;BYDAY=MO', '20261130T225959Z')).toBe(
+      'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261130T225959Z'
+    );
+  });
+});
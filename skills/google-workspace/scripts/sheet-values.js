@@ -0,0 +1,172 @@
+/**
+ * Google Workspace - Sheet Values
+ *
+ * Pure helpers for spreadsheet rows as the Sheets API returns them (arrays of cell
+ * strings, ragged at the end): A1 names, header keys, query --where conditions, and
+ * CSV/TSV input for write and append.
+ *
+ * Usage:
+ *   const { toObjects, parseCondition, matchesCondition } = require('./sheet-values');
+ *   const { headers, rows } = toObjects(values);
+ */
+
+// Column, then the first operator (two-character ones win), then the value
+const CONDITION = /^(.+?)(>=|<=|!=|=|>|<|~)(.*)$/;
+
+// Sheet names with spaces or punctuation must be quoted in A1 ranges
+function quoteSheet(title) {
+  return /^[A-Za-z0-9_]+$/.test(title) ? title : `'${title.replace(/'/g, "''")}'`;
+}
+
+// 0 → A, 26 → AA
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Top-left cell of an A1 range as a 1-based row and 0-based column: 'Tasks'!C5:F → 5, 2
+function rangeStart(range) {
+  if (!String(range).includes('!')) return { row: 1, column: 0 };
+  const cell = String(range).replace(/^.*!/, '').split(':')[0];
+  const match = cell.match(/^([A-Z]*)(\d*)$/i);
+  if (!match) throw new Error(`Can't read range "${range}"`);
+  const [, letters, row] = match;
+  return { row: row ? Number(row) : 1, column: letters ? letterIndex(letters) : 0 };
+}
+
+// A → 0, AA → 26
+function letterIndex(letters) {
+  return [...letters.toUpperCase()].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Widest row; a loop rather than Math.max(...rows), which overflows the stack on big sheets
+function tableWidth(headerRow, rows) {
+  return rows.reduce((width, row) => Math.max(width, row.length), headerRow.length);
+}
+
+// Keys for each column: the header text, or the column letter when blank; repeats get _2, _3.
+// firstColumn is the 0-based sheet column of the first cell, for ranges that start after A.
+function headerKeys(headerRow, width, firstColumn = 0) {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, i) => {
+    const base = String(headerRow[i] ?? '').trim() || columnLetter(firstColumn + i);
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+}
+
+function toObjects(values, firstColumn = 0) {
+  const [headerRow = [], ...rows] = values;
+  const headers = headerKeys(headerRow, tableWidth(headerRow, rows), firstColumn);
+  return {
+    headers,
+    rows: rows.map((row) => Object.fromEntries(headers.map((h, i) => [h, row[i] ?? '']))),
+  };
+}
+
+// A column given as a header name (case-insensitive) or a sheet letter, as an index into the
+// rows of a range whose first cell is in sheet column firstColumn
+function columnIndex(name, headers, firstColumn = 0) {
+  const byHeader = headers.findIndex((h) => h.toLowerCase() === name.toLowerCase());
+  if (byHeader !== -1) return byHeader;
+  if (/^[A-Z]{1,3}$/i.test(name)) {
+    const index = letterIndex(name) - firstColumn;
+    if (index < 0) {
+      const first = columnLetter(firstColumn);
+      throw new Error(`Column ${name.toUpperCase()} is before the range's first column (${first})`);
+    }
+    if (index >= headers.length) {
+      const last = headers.length ? columnLetter(firstColumn + headers.length - 1) : 'none';
+      throw new Error(`Column ${name.toUpperCase()} is past the sheet's last column (${last})`);
+    }
+    return index;
+  }
+  throw new Error(`No column "${name}"; headers are: ${headers.join(', ')}`);
+}
+
+function parseCondition(text) {
+  const match = text.match(CONDITION);
+  if (!match) {
+    throw new Error(`Can't read --where "${text}"; use e.g. Status=Open, Amount>100, Name~smith`);
+  }
+  return { column: match[1].trim(), op: match[2], value: match[3].trim() };
+}
+
+function matchesCondition(cell, { op, value }) {
+  const a = String(cell).trim();
+  const numeric = a !== '' && value !== '' && !isNaN(Number(a)) && !isNaN(Number(value));
+  const left = numeric ? Number(a) : a.toLowerCase();
+  const right = numeric ? Number(value) : value.toLowerCase();
+  switch (op) {
+    case '=':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '>':
+      return left > right;
+    case '<':
+      return left < right;
+    case '>=':
+      return left >= right;
+    case '<=':
+      return left <= right;
+    default:
+      return String(left).includes(String(right));
+  }
+}
+
+// CSV (RFC 4180 quoting) or TSV text as rows of strings
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  quoteSheet,
+  columnLetter,
+  rangeStart,
+  tableWidth,
+  headerKeys,
+  toObjects,
+  columnIndex,
+  parseCondition,
+  matchesCondition,
+  parseDelimited,
+};
@@ -0,0 +1,233 @@
+import { describe, it, expect } from 'vitest';
+import {
+  quoteSheet,
+  columnLetter,
+  rangeStart,
+  tableWidth,
+  headerKeys,
+  toObjects,
+  columnIndex,
+  parseCondition,
+  matchesCondition,
+  parseDelimited,
+} from './sheet-values';
+
+describe('quoteSheet', () => {
+  it('leaves simple names alone', () => {
+    expect(quoteSheet('Sheet1')).toBe('Sheet1');
+  });
+
+  it('quotes names with spaces and doubles their quotes', () => {
+    expect(quoteSheet("Q3 'plan'")).toBe("'Q3 ''plan'''");
+  });
+});
+
+describe('columnLetter', () => {
+  it('counts A to Z, then AA onwards', () => {
+    expect([0, 25, 26, 51, 52, 701, 702].map(columnLetter)).toEqual([
+      'A',
+      'Z',
+      'AA',
+      'AZ',
+      'BA',
+      'ZZ',
+      'AAA',
+    ]);
+  });
+});
+
+describe('rangeStart', () => {
+  it('reads the first cell of the range', () => {
+    expect(rangeStart('Tasks!A1:F20')).toEqual({ row: 1, column: 0 });
+    expect(rangeStart("'Q3 plan'!C5:F")).toEqual({ row: 5, column: 2 });
+    expect(rangeStart('Tasks!AA10')).toEqual({ row: 10, column: 26 });
+  });
+
+  it('starts whole columns and bare sheet names at row 1', () => {
+    expect(rangeStart('Tasks!C:F')).toEqual({ row: 1, column: 2 });
+    expect(rangeStart('Tasks')).toEqual({ row: 1, column: 0 });
+  });
+});
+
+describe('tableWidth', () => {
+  it('is the widest of the header and the rows', () => {
+    expect(tableWidth(['a'], [['1', '2', '3'], ['1']])).toBe(3);
+    expect(tableWidth(['a', 'b'], [])).toBe(2);
+  });
+
+  it('handles more rows than fit in a spread call', () => {
+    const rows = Array.from({ length: 200000 }, () => ['x']);
+    rows[150000] = ['x', 'y', 'z', 'w'];
+    expect(tableWidth(['a'], rows)).toBe(4);
+  });
+});
+
+describe('headerKeys', () => {
+  it('uses column letters for blank headers and numbers repeats', () => {
+    expect(headerKeys(['Name', '', 'Name', ' Owner '], 5)).toEqual([
+      'Name',
+      'B',
+      'Name_2',
+      'Owner',
+      'E',
+    ]);
+  });
+});
+
+describe('headerKeys with an offset range', () => {
+  it('names blank headers by their sheet column', () => {
+    expect(headerKeys(['Task', ''], 2, 2)).toEqual(['Task', 'D']);
+  });
+});
+
+describe('toObjects', () => {
+  it('keys rows by header and fills missing cells', () => {
+    expect(toObjects([['Task', 'Owner'], ['Ship'], ['Docs', 'bob', 'extra']])).toEqual({
+      headers: ['Task', 'Owner', 'C'],
+      rows: [
+        { Task: 'Ship', Owner: '', C: '' },
+        { Task: 'Docs', Owner: 'bob', C: 'extra' },
+      ],
+    });
+  });
+
+  it('returns no rows for an empty sheet', () => {
+    expect(toObjects([])).toEqual({ headers: [], rows: [] });
+  });
+});
+
+describe('columnIndex', () => {
+  const headers = ['Task', 'Owner', 'Status'];
+
+  it('finds headers regardless of case', () => {
+    expect(columnIndex('status', headers)).toBe(2);
+  });
+
+  it('reads column letters', () => {
+    expect(columnIndex('b', headers)).toBe(1);
+  });
+
+  it('prefers a header over a letter with the same name', () => {
+    expect(columnIndex('C', ['A', 'B', 'C', 'D'])).toBe(2);
+    expect(columnIndex('A', ['X', 'A'])).toBe(1);
+  });
+
+  it('rejects letters past the last column', () => {
+    expect(() => columnIndex('D', headers)).toThrow("Column D is past the sheet's last column (C)");
+    expect(() => columnIndex('A', [])).toThrow("past the sheet's last column (none)");
+  });
+
+  it('reads letters as sheet columns when the range starts after A', () => {
+    expect(columnIndex('C', headers, 2)).toBe(0);
+    expect(columnIndex('E', headers, 2)).toBe(2);
+    expect(() => columnIndex('A', headers, 2)).toThrow(
+      "Column A is before the range's first column (C)"
+    );
+    expect(() => columnIndex('F', headers, 2)).toThrow("past the sheet's last column (E)");
+  });
+
+  it('rejects unknown names and lists the headers', () => {
+    expect(() => columnIndex('Amount', headers)).toThrow(
+      'No column "Amount"; headers are: Task, Owner, Status'
+    );
+  });
+});
+
+describe('parseCondition', () => {
+  it('splits column, operator and value', () => {
+    expect(parseCondition(' Status = Open ')).toEqual({ column: 'Status', op: '=', value: 'Open' });
+  });
+
+  it('prefers two-character operators', () => {
+    expect(parseCondition('Amount>=100')).toMatchObject({ column: 'Amount', op: '>=' });
+    expect(parseCondition('Status!=done')).toMatchObject({ column: 'Status', op: '!=' });
+  });
+
+  it('splits on the first operator so values may contain others', () => {
+    expect(parseCondition('Note~a=b')).toEqual({ column: 'Note', op: '~', value: 'a=b' });
+  });
+
+  it('allows an empty value', () => {
+    expect(parseCondition('Owner=')).toEqual({ column: 'Owner', op: '=', value: '' });
+  });
+
+  it('rejects text without an operator', () => {
+    expect(() => parseCondition('Status')).toThrow('Can\'t read --where "Status"');
+  });
+});
+
+describe('matchesCondition', () => {
+  const matches = (cell, text) => matchesCondition(cell, parseCondition(text));
+
+  it('compares text ignoring case and surrounding spaces', () => {
+    expect(matches(' OPEN ', 'Status=open')).toBe(true);
+    expect(matches('open', 'Status!=Open')).toBe(false);
+  });
+
+  it('compares numbers numerically', () => {
+    expect(matches('120', 'Amount>99')).toBe(true);
+    expect(matches('80', 'Amount>=100')).toBe(false);
+    expect(matches('1e3', 'Amount=1000')).toBe(true);
+  });
+
+  it('compares text when either side is not a number', () => {
+    expect(matches('1,000', 'Amount>99')).toBe(false);
+    expect(matches('b', 'Name>a')).toBe(true);
+  });
+
+  it('treats empty cells as text, not zero', () => {
+    expect(matches('', 'Amount<1')).toBe(true);
+    expect(matches('', 'Amount=0')).toBe(false);
+    expect(matches('', 'Owner=')).toBe(true);
+  });
+
+  it('matches substrings with ~', () => {
+    expect(matches('Ada Lovelace', 'Name~LOVE')).toBe(true);
+    expect(matches('Ada', 'Name~bob')).toBe(false);
+  });
+});
+
+describe('parseDelimited', () => {
+  it('splits CSV rows and fields', () => {
+    expect(parseDelimited('a,b\n1,2\n', ',')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  it('reads quoted fields with commas, line breaks and doubled quotes', () => {
+    expect(parseDelimited('"Docs, ""v2""","line 1\nline 2"\nx,y', ',')).toEqual([
+      ['Docs, "v2"', 'line 1\nline 2'],
+      ['x', 'y'],
+    ]);
+  });
+
+  it('accepts CRLF line endings', () => {
+    expect(parseDelimited('a,b\r\n1,2\r\n', ',')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  it('keeps empty fields, including a trailing one', () => {
+    expect(parseDelimited('a,,c\n,\n', ',')).toEqual([
+      ['a', '', 'c'],
+      ['', ''],
+    ]);
+  });
+
+  it('keeps a last row without a line break', () => {
+    expect(parseDelimited('a\tb\n1\t2', '\t')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  it('treats quotes inside a field as text', () => {
+    expect(parseDelimited('5" screen,ok', ',')).toEqual([['5" screen', 'ok']]);
+  });
+
+  it('returns no rows for empty input', () => {
+    expect(parseDelimited('', ',')).toEqual([]);
+  });
+});
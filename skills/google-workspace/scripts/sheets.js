@@ -1,18 +1,86 @@
 #!/usr/bin/env node
 /**
- * Google Workspace - Google Sheets & Drive Helper (Read-Only)
+ * Google Workspace - Google Sheets & Drive Helper (Read; Write when enabled)
  *
  * Commands:
- *   node sheets.js files [maxResults] [query]           — List Drive files (Sheets, Docs, etc.)
- *   node sheets.js read <spreadsheetId> [range]         — Read spreadsheet data
+ *   node sheets.js files [maxResults] [query] [filters] — List Drive files, newest first
+ *   node sheets.js read <spreadsheetId> [range] [options] — Read spreadsheet data
+ *   node sheets.js query <spreadsheetId> <sheet> --where "Status=Open" [--select A,C] [--limit N]
+ *                                                       — Matching rows only, keyed by header
  *   node sheets.js info <spreadsheetId>                 — Get spreadsheet metadata
- *   node sheets.js search <query> [maxResults]          — Search Drive for files
+ *   node sheets.js search <query> [maxResults] [filters] — Search names and contents
+ *   node sheets.js download <fileId> [out] [--text] [--max-bytes N]
+ *                                                       — Save a stored file (PDF, image, ...)
+ *   node sheets.js export <fileId> --as <format> [out] [--max-chars N] [--max-bytes N]
+ *                                                       — Convert a Google Doc/Sheet/Slides file
+ *   node sheets.js ls [folderId|path] [--depth N] [--max N] — List a folder (default My Drive)
+ *   node sheets.js permissions <fileId>                 — Who a file is shared with
  *
- * All operations are READ-ONLY (drive.readonly scope).
+ * files/search filters: --type sheet|doc|slide|pdf|folder (comma-separated for several),
+ * --owner <email|me>, --modified-after <YYYY-MM-DD|ISO time|7d>, --in-folder <folderId|path>,
+ * --shared-with-me, --starred. maxResults (default 10) may exceed Drive's page size.
+ *
+ * export formats: Docs txt, md, html, pdf, docx; Sheets csv, tsv (first tab), pdf, xlsx;
+ * Slides txt, pdf, pptx; Drawings pdf, png, svg. Text formats print to stdout as JSON unless
+ * [out] is given; binary ones are saved. Files go to /tmp/drive-downloads unless [out] is given
+ * (a directory or a path). --text prints a downloaded text file too; --max-chars (default 20000)
+ * truncates printed text, and --max-bytes (default 100 MB) refuses larger downloads and exports.
+ *
+ * Read options (read, and query where they apply):
+ *   --headers              Rows as objects keyed by the first row
+ *   --value-render <mode>  FORMATTED (default, as displayed), UNFORMATTED (raw numbers) or FORMULA
+ *   --all-sheets           Every tab instead of the first (read without a range; JSON only)
+ *   --format json|csv|tsv  Output format (default json)
+ *
+ * query --where takes <column><op><value> with = != > < >= <= or ~ (contains); columns are
+ * header names or letters, comparisons ignore case and are numeric when both sides are numbers.
+ * Repeat --where to require several conditions. --limit defaults to 50. <sheet> may be a range
+ * like "Tasks!C5:F"; letters and _row still refer to the sheet's own columns and rows.
+ *
+ * Write commands (only with SHEETS_ALLOW_WRITE=true and the spreadsheets scope):
+ *   node sheets.js write <spreadsheetId> <range> <rows>          — Overwrite a range
+ *   node sheets.js append <spreadsheetId> <sheet> <rows>         — Add rows after the last row
+ *   node sheets.js clear <spreadsheetId> <range>                 — Clear values (keeps formatting)
+ *   node sheets.js add-sheet <spreadsheetId> <title> [--rows N] [--cols N] — Add a tab
+ *   node sheets.js batch-update <spreadsheetId> <json|file|->    — Write several ranges at once
+ *
+ * <rows> is a JSON array of rows ('[["a",1],["b",2]]'), a .json/.csv/.tsv file, or - for stdin;
+ * use --format json|csv|tsv when it can't be told from the content or extension.
+ * batch-update takes {"Sheet1!A1": [[...]], ...} or [{"range": "...", "values": [[...]]}, ...].
+ * Values are parsed as if typed in (formulas, numbers, dates); --raw stores them as-is.
+ *
+ * Drive commands (only with DRIVE_ALLOW_WRITE=true and the drive scope):
+ *   node sheets.js upload <localFile> [--folder <folderId|path>] [--name N] [--convert]
+ *                                                       — Upload; --convert makes CSV/XLSX a Sheet,
+ *                                                         TXT/MD/HTML/DOCX a Doc, PPTX Slides
+ *   node sheets.js mkdir <name|path> [--parent <folderId|path>] — Create folders (like mkdir -p)
+ *   node sheets.js share <fileId> <email> [--role reader|commenter|writer] [--message M]
+ *                         [--no-notify]                 — Share with a person (default reader)
+ *
+ * Folder paths are folder names from My Drive, e.g. "Reports/2026"; IDs work everywhere too.
+ *
+ * Reading needs drive.readonly; writing needs the spreadsheets scope.
  */
 
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const { google } = require('googleapis');
 const { getAuth } = require('./google-auth');
+const { parseOptions, positiveInt } = require('./cli-options');
+const { driveQuery } = require('./drive-query');
+const {
+  quoteSheet,
+  rangeStart,
+  tableWidth,
+  headerKeys,
+  toObjects,
+  columnIndex,
+  parseCondition,
+  matchesCondition,
+  parseDelimited,
+} = require('./sheet-values');
 
 const auth = getAuth();
 const drive = google.drive({ version: 'v3', auth });
@@ -20,63 +88,121 @@ const sheets = google.sheets({ version: 'v4', auth });
 
 // ── Commands ─────────────────────────────────────────────────────────────────
 
-async function listFiles(maxResults = 10, query = '') {
-  const params = {
-    pageSize: parseInt(maxResults, 10),
-    fields: 'files(id, name, mimeType, modifiedTime, webViewLink, owners)',
+async function listFiles(maxResults, query = '', options = {}) {
+  // All file types, newest first, unless --type and the other filters narrow it
+  const filters = await fileFilters(options);
+  const { files } = await listDriveFiles(driveQuery({ ...filters, nameContains: query }), {
+    limit: positiveInt(maxResults, 'maxResults', 10),
     orderBy: 'modifiedTime desc',
-  };
-
-  // Default: only show Sheets, Docs, and Slides
-  let q = "trashed = false";
-  if (query) {
-    q += ` and (name contains '${query.replace(/'/g, "\\'")}')`;
-  }
-  params.q = q;
-
-  const res = await drive.files.list(params);
-  const files = (res.data.files || []).map((f) => ({
-    id: f.id,
-    name: f.name,
-    mimeType: f.mimeType,
-    modifiedTime: f.modifiedTime,
-    webViewLink: f.webViewLink,
-    owner: f.owners?.[0]?.emailAddress || '',
-  }));
-  console.log(JSON.stringify(files, null, 2));
+  });
+  printFiles(files);
 }
 
-async function readSheet(spreadsheetId, range = '') {
+async function readSheet(spreadsheetId, range = '', options = {}) {
+  const valueRenderOption = valueRender(options['value-render']);
+  const format = outputFormat(options.format);
+  const shape = (values, firstColumn) =>
+    options.headers ? toObjects(values, firstColumn) : { values };
+
   if (range) {
     // Read specific range
     const res = await sheets.spreadsheets.values.get({
       spreadsheetId,
       range,
+      valueRenderOption,
     });
+    const values = res.data.values || [];
+    if (format !== 'json') return printDelimited(values, format);
     console.log(JSON.stringify({
       range: res.data.range,
-      values: res.data.values || [],
+      ...shape(values, rangeStart(res.data.range).column),
+    }, null, 2));
+  } else if (options['all-sheets']) {
+    // Several tables in one CSV/TSV stream would no longer parse as one
+    if (format !== 'json') throw new Error('--all-sheets only works with --format json');
+    const meta = await sheets.spreadsheets.get({ spreadsheetId });
+    const sheetNames = meta.data.sheets.map((s) => s.properties.title);
+    const res = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: sheetNames.map(quoteSheet),
+      valueRenderOption,
+    });
+    const tabs = sheetNames.map((name, i) => ({
+      sheet: name,
+      range: res.data.valueRanges[i].range,
+      values: res.data.valueRanges[i].values || [],
+    }));
+    console.log(JSON.stringify({
+      spreadsheetTitle: meta.data.properties.title,
+      sheets: tabs.map((tab) => ({ sheet: tab.sheet, range: tab.range, ...shape(tab.values) })),
     }, null, 2));
   } else {
     // Get sheet names first, then read first sheet
     const meta = await sheets.spreadsheets.get({ spreadsheetId });
     const sheetNames = meta.data.sheets.map((s) => s.properties.title);
-    
+
     const firstSheet = sheetNames[0];
     const res = await sheets.spreadsheets.values.get({
       spreadsheetId,
-      range: firstSheet,
+      range: quoteSheet(firstSheet),
+      valueRenderOption,
     });
+    const values = res.data.values || [];
+    if (format !== 'json') return printDelimited(values, format);
     console.log(JSON.stringify({
       spreadsheetTitle: meta.data.properties.title,
       sheet: firstSheet,
       availableSheets: sheetNames,
       range: res.data.range,
-      values: res.data.values || [],
+      ...shape(values),
     }, null, 2));
   }
 }
 
+async function querySheet(spreadsheetId, sheet, options) {
+  const conditions = (options.where || []).map(parseCondition);
+  const limit = positiveInt(options.limit, '--limit', 50);
+  const format = outputFormat(options.format);
+
+  const res = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: /!/.test(sheet) ? sheet : quoteSheet(sheet),
+    valueRenderOption: valueRender(options['value-render']),
+  });
+  // _row and column letters count from the sheet's A1, not from the start of the range
+  const start = rangeStart(res.data.range);
+  const [headerRow = [], ...rows] = res.data.values || [];
+  const headers = headerKeys(headerRow, tableWidth(headerRow, rows), start.column);
+  const column = (name) => columnIndex(name, headers, start.column);
+  const resolved = conditions.map((c) => ({ ...c, column: column(c.column) }));
+  const selected = options.select
+    ? options.select.split(',').map((c) => column(c.trim()))
+    : headers.map((_, i) => i);
+
+  const matches = [];
+  rows.forEach((row, i) => {
+    if (resolved.every((c) => matchesCondition(row[c.column] ?? '', c))) {
+      matches.push({ rowNumber: start.row + 1 + i, row });
+    }
+  });
+  const shown = matches.slice(0, limit);
+
+  if (format !== 'json') {
+    const table = [selected.map((i) => headers[i])];
+    for (const { row } of shown) table.push(selected.map((i) => row[i] ?? ''));
+    return printDelimited(table, format);
+  }
+  console.log(JSON.stringify({
+    sheet,
+    matched: matches.length,
+    returned: shown.length,
+    rows: shown.map(({ rowNumber, row }) => ({
+      _row: rowNumber,
+      ...Object.fromEntries(selected.map((i) => [headers[i], row[i] ?? ''])),
+    })),
+  }, null, 2));
+}
+
 async function sheetInfo(spreadsheetId) {
   const res = await sheets.spreadsheets.get({ spreadsheetId });
   const info = {
@@ -95,24 +221,686 @@ async function sheetInfo(spreadsheetId) {
   console.log(JSON.stringify(info, null, 2));
 }
 
-async function searchFiles(query, maxResults = 10) {
-  const params = {
-    pageSize: parseInt(maxResults, 10),
-    fields: 'files(id, name, mimeType, modifiedTime, webViewLink, owners)',
-    q: `trashed = false and (name contains '${query.replace(/'/g, "\\'")}' or fullText contains '${query.replace(/'/g, "\\'")}')`,
-    orderBy: 'modifiedTime desc',
+async function searchFiles(query, maxResults, options = {}) {
+  // Drive ranks fullText matches by relevance and rejects orderBy with them
+  const filters = await fileFilters(options);
+  const { files } = await listDriveFiles(driveQuery({ ...filters, text: query }), {
+    limit: positiveInt(maxResults, 'maxResults', 10),
+  });
+  printFiles(files);
+}
+
+// ── Drive files ──────────────────────────────────────────────────────────────
+
+const DOWNLOAD_DIR = '/tmp/drive-downloads';
+const GOOGLE_APPS = 'application/vnd.google-apps.';
+const OFFICE = 'application/vnd.openxmlformats-officedocument';
+const EXPORT_FORMATS = {
+  document: {
+    txt: 'text/plain',
+    md: 'text/markdown',
+    html: 'text/html',
+    pdf: 'application/pdf',
+    docx: `${OFFICE}.wordprocessingml.document`,
+  },
+  spreadsheet: {
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values',
+    pdf: 'application/pdf',
+    xlsx: `${OFFICE}.spreadsheetml.sheet`,
+  },
+  presentation: {
+    txt: 'text/plain',
+    pdf: 'application/pdf',
+    pptx: `${OFFICE}.presentationml.presentation`,
+  },
+  drawing: { pdf: 'application/pdf', png: 'image/png', svg: 'image/svg+xml' },
+};
+const TEXT_FORMATS = ['txt', 'md', 'html', 'csv', 'tsv', 'svg'];
+const TEXT_MIME = /^text\/|\/(json|xml|javascript|x-yaml|yaml|csv)$/;
+const MAX_BYTES = 100 * 1024 * 1024;
+const MAX_CHARS = 20000;
+
+async function fileMetadata(fileId) {
+  const res = await drive.files.get({
+    fileId,
+    fields: 'id, name, mimeType, size, modifiedTime',
+    supportsAllDrives: true,
+  });
+  return res.data;
+}
+
+// Where to save: [out] as a file path or directory, else the download directory
+function outputPath(out, filename) {
+  const safe = path.basename(filename).replace(/[\\/\0]/g, '_') || 'file';
+  if (!out) return path.join(DOWNLOAD_DIR, safe);
+  if (out.endsWith('/') || (fs.existsSync(out) && fs.statSync(out).isDirectory())) {
+    return path.join(out, safe);
+  }
+  return out;
+}
+
+function saveFile(file, data) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, data);
+  return path.resolve(file);
+}
+
+// Fails the pipeline as soon as more than maxBytes have come through
+function byteLimit(maxBytes, name) {
+  let size = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) return callback(new Error(`${name} is over --max-bytes ${maxBytes}`));
+      callback(null, chunk);
+    },
+  });
+}
+
+// Writes a response stream to disk without holding it in memory; no partial file is left
+async function streamToFile(stream, file, maxBytes, name) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  try {
+    await pipeline(stream, byteLimit(maxBytes, name), fs.createWriteStream(file));
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    throw err;
+  }
+  return path.resolve(file);
+}
+
+async function readStream(stream, maxBytes, name) {
+  const chunks = [];
+  await pipeline(stream, byteLimit(maxBytes, name), async (source) => {
+    for await (const chunk of source) chunks.push(chunk);
+  });
+  return Buffer.concat(chunks);
+}
+
+function truncateText(text, maxChars) {
+  const truncated = text.length > maxChars;
+  return { truncated, text: truncated ? text.slice(0, maxChars) : text };
+}
+
+async function downloadFile(fileId, options) {
+  const meta = await fileMetadata(fileId);
+  if (meta.mimeType.startsWith(GOOGLE_APPS)) {
+    const formats = EXPORT_FORMATS[meta.mimeType.slice(GOOGLE_APPS.length)];
+    const hint = formats
+      ? `use export --as ${Object.keys(formats).join('|')}`
+      : 'it has no file content';
+    throw new Error(`${meta.name} is a Google ${meta.mimeType.slice(GOOGLE_APPS.length)}; ${hint}`);
+  }
+  const maxBytes = positiveInt(options['max-bytes'], '--max-bytes', MAX_BYTES);
+  const maxChars = positiveInt(options['max-chars'], '--max-chars', MAX_CHARS);
+  const size = Number(meta.size || 0);
+  if (size > maxBytes) {
+    throw new Error(`${meta.name} is ${size} bytes, over --max-bytes ${maxBytes}`);
+  }
+
+  // The size in the metadata may be missing, so the stream is capped as well
+  const res = await drive.files.get(
+    { fileId, alt: 'media', supportsAllDrives: true },
+    { responseType: 'stream' }
+  );
+  const file = outputPath(options._[1], meta.name);
+  const saved = await streamToFile(res.data, file, maxBytes, meta.name);
+  const result = {
+    saved,
+    name: meta.name,
+    mimeType: meta.mimeType,
+    size: fs.statSync(saved).size,
+  };
+  if (options.text) {
+    if (TEXT_MIME.test(meta.mimeType)) {
+      const text = fs.readFileSync(saved, 'utf8');
+      Object.assign(result, truncateText(text, maxChars));
+    } else {
+      result.text = null;
+      result.note = `No text for ${meta.mimeType}; the file is saved at ${result.saved}`;
+    }
+  }
+  console.log(JSON.stringify(result, null, 2));
+}
+
+async function exportFile(fileId, options) {
+  const meta = await fileMetadata(fileId);
+  if (!meta.mimeType.startsWith(GOOGLE_APPS)) {
+    throw new Error(`${meta.name} is a stored ${meta.mimeType} file; use download`);
+  }
+  const kind = meta.mimeType.slice(GOOGLE_APPS.length);
+  const formats = EXPORT_FORMATS[kind] || {};
+  const mimeType = formats[options.as];
+  if (!mimeType) {
+    const allowed = Object.keys(formats).join(', ') || 'none';
+    throw new Error(`A Google ${kind} can't be exported as ${options.as} (formats: ${allowed})`);
+  }
+
+  const maxBytes = positiveInt(options['max-bytes'], '--max-bytes', MAX_BYTES);
+  const maxChars = positiveInt(options['max-chars'], '--max-chars', MAX_CHARS);
+
+  // Drive refuses exports over 10 MB; its error message says so
+  const res = await drive.files.export({ fileId, mimeType }, { responseType: 'stream' });
+  const data = await readStream(res.data, maxBytes, meta.name);
+  const out = options._[1];
+
+  if (TEXT_FORMATS.includes(options.as) && !out) {
+    const { truncated, text } = truncateText(data.toString('utf8'), maxChars);
+    console.log(JSON.stringify({
+      id: meta.id,
+      name: meta.name,
+      mimeType,
+      size: data.length,
+      truncated,
+      content: text,
+    }, null, 2));
+    return;
+  }
+  const extension = `.${options.as}`;
+  const filename = meta.name.endsWith(extension) ? meta.name : meta.name + extension;
+  console.log(JSON.stringify({
+    saved: saveFile(outputPath(out, filename), data),
+    name: meta.name,
+    mimeType,
+    size: data.length,
+  }, null, 2));
+}
+
+// ── Reading helpers ──────────────────────────────────────────────────────────
+
+const VALUE_RENDER = {
+  FORMATTED: 'FORMATTED_VALUE',
+  UNFORMATTED: 'UNFORMATTED_VALUE',
+  FORMULA: 'FORMULA',
+};
+const OUTPUT_FORMATS = ['json', 'csv', 'tsv'];
+
+function valueRender(mode = 'FORMATTED') {
+  const key = mode.toUpperCase().replace(/_VALUE$/, '');
+  if (!VALUE_RENDER[key]) {
+    throw new Error('--value-render must be FORMATTED, UNFORMATTED or FORMULA');
+  }
+  return VALUE_RENDER[key];
+}
+
+function outputFormat(format = 'json') {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+// Rows as CSV (quoted where needed) or TSV on stdout
+function printDelimited(values, format) {
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const cell = (value) => {
+    const text = String(value ?? '');
+    if (format === 'tsv') return text.replace(/[\t\r\n]+/g, ' ');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
   };
+  for (const row of values) process.stdout.write(row.map(cell).join(delimiter) + '\n');
+}
+
+// ── Writing ──────────────────────────────────────────────────────────────────
+
+const INPUT_FORMATS = ['json', 'csv', 'tsv'];
+
+function requireWriteEnabled() {
+  if (process.env.SHEETS_ALLOW_WRITE !== 'true') {
+    throw new Error(
+      'Writing is disabled. Set SHEETS_ALLOW_WRITE=true to enable write, append, clear, add-sheet and batch-update.'
+    );
+  }
+}
 
-  const res = await drive.files.list(params);
-  const files = (res.data.files || []).map((f) => ({
+async function readInput(source) {
+  if (source === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return { text: Buffer.concat(chunks).toString('utf8') };
+  }
+  if (/^\s*[[{]/.test(source)) return { text: source };
+  if (fs.existsSync(source)) {
+    const extension = source.split('.').pop().toLowerCase();
+    return { text: fs.readFileSync(source, 'utf8'), extension };
+  }
+  throw new Error(`${source} is not JSON or a readable file`);
+}
+
+/**
+ * Load rows for write/append from inline JSON, a file or stdin
+ * @returns {Promise<Array<Array<string|number|boolean>>>}
+ */
+async function loadRows(source, format) {
+  if (format && !INPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${INPUT_FORMATS.join(', ')}`);
+  }
+  const { text, extension } = await readInput(source);
+  const guess = /^\s*[[{]/.test(text) ? 'json' : 'csv';
+  const kind = format || (INPUT_FORMATS.includes(extension) ? extension : guess);
+  const rows = kind === 'json'
+    ? JSON.parse(text)
+    : parseDelimited(text, kind === 'tsv' ? '\t' : ',');
+  if (!Array.isArray(rows) || !rows.every(Array.isArray)) {
+    throw new Error('Rows must be an array of arrays, e.g. [["Name","Score"],["Ada",42]]');
+  }
+  return rows;
+}
+
+function valueInputOption(options) {
+  return options.raw ? 'RAW' : 'USER_ENTERED';
+}
+
+async function writeRange(spreadsheetId, range, source, options) {
+  requireWriteEnabled();
+  const values = await loadRows(source, options.format);
+  const res = await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range,
+    valueInputOption: valueInputOption(options),
+    requestBody: { values },
+  });
+  console.log(JSON.stringify({
+    updatedRange: res.data.updatedRange,
+    updatedRows: res.data.updatedRows || 0,
+    updatedColumns: res.data.updatedColumns || 0,
+    updatedCells: res.data.updatedCells || 0,
+  }, null, 2));
+}
+
+async function appendRows(spreadsheetId, sheet, source, options) {
+  requireWriteEnabled();
+  const values = await loadRows(source, options.format);
+  const res = await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: sheet,
+    valueInputOption: valueInputOption(options),
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values },
+  });
+  const updates = res.data.updates || {};
+  console.log(JSON.stringify({
+    tableRange: res.data.tableRange,
+    updatedRange: updates.updatedRange,
+    updatedRows: updates.updatedRows || 0,
+    updatedCells: updates.updatedCells || 0,
+  }, null, 2));
+}
+
+async function clearRange(spreadsheetId, range) {
+  requireWriteEnabled();
+  const res = await sheets.spreadsheets.values.clear({ spreadsheetId, range, requestBody: {} });
+  console.log(JSON.stringify({ clearedRange: res.data.clearedRange }, null, 2));
+}
+
+async function addSheet(spreadsheetId, title, options) {
+  requireWriteEnabled();
+  const gridProperties = {};
+  for (const [flag, key] of [['rows', 'rowCount'], ['cols', 'columnCount']]) {
+    const count = positiveInt(options[flag], `--${flag}`);
+    if (count) gridProperties[key] = count;
+  }
+  const res = await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{ addSheet: { properties: { title, gridProperties } } }],
+    },
+  });
+  const props = res.data.replies[0].addSheet.properties;
+  console.log(JSON.stringify({
+    title: props.title,
+    sheetId: props.sheetId,
+    index: props.index,
+    rowCount: props.gridProperties?.rowCount,
+    columnCount: props.gridProperties?.columnCount,
+  }, null, 2));
+}
+
+async function batchUpdate(spreadsheetId, source, options) {
+  requireWriteEnabled();
+  const { text } = await readInput(source);
+  const parsed = JSON.parse(text);
+  const data = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed).map(([range, values]) => ({ range, values }));
+  if (data.length === 0 || !data.every((d) => d.range && Array.isArray(d.values))) {
+    throw new Error('Give {"Sheet1!A1": [[...]]} or [{"range": "Sheet1!A1", "values": [[...]]}]');
+  }
+  const res = await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId,
+    requestBody: { valueInputOption: valueInputOption(options), data },
+  });
+  console.log(JSON.stringify({
+    totalUpdatedCells: res.data.totalUpdatedCells || 0,
+    ranges: (res.data.responses || []).map((r) => ({
+      updatedRange: r.updatedRange,
+      updatedCells: r.updatedCells || 0,
+    })),
+  }, null, 2));
+}
+
+// ── Drive queries ────────────────────────────────────────────────────────────
+
+const FOLDER_MIME = `${GOOGLE_APPS}folder`;
+const DRIVE_TYPES = {
+  sheet: `${GOOGLE_APPS}spreadsheet`,
+  doc: `${GOOGLE_APPS}document`,
+  slide: `${GOOGLE_APPS}presentation`,
+  pdf: 'application/pdf',
+  folder: FOLDER_MIME,
+};
+const FILTER_FLAGS = ['--type', '--owner', '--modified-after', '--in-folder'];
+const FILTER_SWITCHES = ['--shared-with-me', '--starred'];
+const FILE_FIELDS = 'id, name, mimeType, modifiedTime, webViewLink, owners';
+const DAY = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD, an ISO time, or "7d" for seven days ago
+function sinceTime(value) {
+  const days = /^(\d+)d$/.exec(value);
+  const time = days ? Date.now() - Number(days[1]) * DAY : Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`--modified-after: "${value}" is not a date`);
+  return new Date(time).toISOString();
+}
+
+// --type, --owner, --modified-after, --in-folder, --shared-with-me, --starred as query filters
+async function fileFilters(options) {
+  const filters = {
+    owner: options.owner,
+    sharedWithMe: !!options['shared-with-me'],
+    starred: !!options.starred,
+  };
+  if (options.type) {
+    filters.mimeTypes = options.type.split(',').map((type) => {
+      const mimeType = DRIVE_TYPES[type.trim()];
+      if (!mimeType) throw new Error(`--type must be ${Object.keys(DRIVE_TYPES).join(', ')}`);
+      return mimeType;
+    });
+  }
+  if (options['modified-after']) filters.modifiedAfter = sinceTime(options['modified-after']);
+  if (options['in-folder']) filters.parent = (await resolveFolder(options['in-folder'])).id;
+  return filters;
+}
+
+// Follows nextPageToken until `limit` files; `more` says whether Drive had others
+async function listDriveFiles(q, { limit, fields = FILE_FIELDS, orderBy } = {}) {
+  const files = [];
+  let pageToken;
+  do {
+    const res = await drive.files.list({
+      q,
+      fields: `nextPageToken, files(${fields})`,
+      orderBy,
+      pageSize: Math.min(limit - files.length, 1000),
+      pageToken,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+    });
+    files.push(...(res.data.files || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken && files.length < limit);
+  return { files: files.slice(0, limit), more: !!pageToken || files.length > limit };
+}
+
+function printFiles(files) {
+  console.log(JSON.stringify(files.map((f) => ({
     id: f.id,
     name: f.name,
     mimeType: f.mimeType,
     modifiedTime: f.modifiedTime,
     webViewLink: f.webViewLink,
     owner: f.owners?.[0]?.emailAddress || '',
+  })), null, 2));
+}
+
+// ── Drive folders and sharing ────────────────────────────────────────────────
+
+const SHARE_ROLES = ['reader', 'commenter', 'writer'];
+const UPLOAD_TYPES = {
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.zip': 'application/zip',
+  '.rtf': 'application/rtf',
+  '.docx': `${OFFICE}.wordprocessingml.document`,
+  '.xlsx': `${OFFICE}.spreadsheetml.sheet`,
+  '.pptx': `${OFFICE}.presentationml.presentation`,
+};
+// What --convert turns an upload into, by extension
+const CONVERSIONS = {
+  '.csv': 'spreadsheet',
+  '.tsv': 'spreadsheet',
+  '.xlsx': 'spreadsheet',
+  '.txt': 'document',
+  '.md': 'document',
+  '.html': 'document',
+  '.htm': 'document',
+  '.rtf': 'document',
+  '.docx': 'document',
+  '.pptx': 'presentation',
+};
+
+function requireDriveWriteEnabled() {
+  if (process.env.DRIVE_ALLOW_WRITE !== 'true') {
+    throw new Error(
+      'Drive changes are disabled. Set DRIVE_ALLOW_WRITE=true to enable upload, mkdir and share.'
+    );
+  }
+}
+
+function pathSegments(folderPath) {
+  return folderPath.split('/').map((s) => s.trim()).filter(Boolean);
+}
+
+async function findFolder(parentId, name) {
+  const { files: found } = await listDriveFiles(
+    driveQuery({ parent: parentId, name, mimeTypes: [FOLDER_MIME] }),
+    { limit: 10, fields: 'id, name, webViewLink' }
+  );
+  if (found.length > 1) {
+    const ids = found.map((f) => f.id).join(', ');
+    throw new Error(`Several folders are named "${name}" (${ids}); use a folder ID`);
+  }
+  return found[0];
+}
+
+async function fileIfExists(id) {
+  try {
+    return await fileMetadata(id);
+  } catch (err) {
+    if (err.code === 404 || err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+// A folder ID, "root", or a path of folder names from My Drive ("Reports/2026")
+async function resolveFolder(ref) {
+  if (!ref || ref === '/' || ref === 'root') return { id: 'root', path: '/' };
+  if (!ref.includes('/') && /^[\w-]{20,}$/.test(ref)) {
+    // Long names like "Quarterly_Reports_2026" look like IDs too; try them as a name next
+    const meta = await fileIfExists(ref);
+    if (meta) {
+      if (meta.mimeType !== FOLDER_MIME) throw new Error(`${meta.name} is not a folder`);
+      return { id: meta.id, path: `/${meta.name}` };
+    }
+  }
+  let id = 'root';
+  const walked = [];
+  for (const name of pathSegments(ref)) {
+    const folder = await findFolder(id, name);
+    if (!folder) throw new Error(`No folder named "${name}" in /${walked.join('/')}`);
+    id = folder.id;
+    walked.push(name);
+  }
+  return { id, path: `/${walked.join('/')}` };
+}
+
+async function listChildren(folderId, limit) {
+  return listDriveFiles(driveQuery({ parent: folderId }), {
+    limit,
+    fields: 'id, name, mimeType, size, modifiedTime, webViewLink',
+    orderBy: 'folder, name',
+  });
+}
+
+async function listFolder(ref, options) {
+  const limit = positiveInt(options.max, '--max', 100);
+  const depth = positiveInt(options.depth, '--depth', 1);
+
+  const folder = await resolveFolder(ref);
+  const entries = [];
+  let truncated = false;
+  // Breadth-first, so --max keeps the shallowest entries
+  const queue = [{ id: folder.id, prefix: '', level: 1 }];
+  while (queue.length && entries.length < limit) {
+    const { id, prefix, level } = queue.shift();
+    const { files, more } = await listChildren(id, limit - entries.length);
+    truncated = truncated || more;
+    for (const f of files) {
+      const isFolder = f.mimeType === FOLDER_MIME;
+      entries.push({
+        id: f.id,
+        path: prefix + f.name + (isFolder ? '/' : ''),
+        mimeType: f.mimeType,
+        size: f.size !== undefined ? Number(f.size) : undefined,
+        modifiedTime: f.modifiedTime,
+        webViewLink: f.webViewLink,
+      });
+      if (isFolder && level < depth) {
+        queue.push({ id: f.id, prefix: `${prefix}${f.name}/`, level: level + 1 });
+      }
+    }
+  }
+  truncated = truncated || queue.length > 0;
+  console.log(JSON.stringify({
+    folder: folder.path,
+    id: folder.id,
+    truncated,
+    files: entries,
+  }, null, 2));
+}
+
+async function makeFolder(folderPath, options) {
+  requireDriveWriteEnabled();
+  const parent = await resolveFolder(options.parent);
+  const segments = pathSegments(folderPath);
+  if (!segments.length) throw new Error('Give a folder name or path');
+
+  // Like mkdir -p: reuse folders that exist, create the rest
+  let id = parent.id;
+  let created = false;
+  let folder;
+  for (const name of segments) {
+    folder = await findFolder(id, name);
+    if (!folder) {
+      const res = await drive.files.create({
+        requestBody: { name, mimeType: FOLDER_MIME, parents: [id] },
+        fields: 'id, name, webViewLink',
+        supportsAllDrives: true,
+      });
+      folder = res.data;
+      created = true;
+    }
+    id = folder.id;
+  }
+  const base = parent.path === '/' ? '' : parent.path;
+  console.log(JSON.stringify({
+    id,
+    path: `${base}/${segments.join('/')}`,
+    created,
+    webViewLink: folder.webViewLink,
+  }, null, 2));
+}
+
+async function uploadFile(localFile, options) {
+  requireDriveWriteEnabled();
+  if (!fs.existsSync(localFile) || !fs.statSync(localFile).isFile()) {
+    throw new Error(`${localFile} is not a readable file`);
+  }
+  const extension = path.extname(localFile).toLowerCase();
+  const requestBody = { name: options.name || path.basename(localFile) };
+  if (options.convert) {
+    const kind = CONVERSIONS[extension];
+    if (!kind) {
+      const convertible = Object.keys(CONVERSIONS).join(' ');
+      throw new Error(`Can't convert ${extension || 'this file'} (convertible: ${convertible})`);
+    }
+    requestBody.mimeType = GOOGLE_APPS + kind;
+    if (!options.name) requestBody.name = path.basename(localFile, path.extname(localFile));
+  }
+  const folder = await resolveFolder(options.folder);
+  requestBody.parents = [folder.id];
+
+  const res = await drive.files.create({
+    requestBody,
+    media: {
+      mimeType: UPLOAD_TYPES[extension] || 'application/octet-stream',
+      body: fs.createReadStream(localFile),
+    },
+    fields: 'id, name, mimeType, size, webViewLink',
+    supportsAllDrives: true,
+  });
+  console.log(JSON.stringify({
+    uploaded: res.data.id,
+    name: res.data.name,
+    mimeType: res.data.mimeType,
+    size: fs.statSync(localFile).size,
+    folder: folder.path,
+    webViewLink: res.data.webViewLink,
+  }, null, 2));
+}
+
+async function shareFile(fileId, email, options) {
+  requireDriveWriteEnabled();
+  const role = options.role || 'reader';
+  if (!SHARE_ROLES.includes(role)) {
+    throw new Error(`--role must be one of ${SHARE_ROLES.join(', ')}`);
+  }
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw new Error(`${email} is not an email address`);
+  if (options.message && options['no-notify']) throw new Error('--message needs a notification');
+
+  const res = await drive.permissions.create({
+    fileId,
+    requestBody: { type: 'user', role, emailAddress: email },
+    sendNotificationEmail: !options['no-notify'],
+    emailMessage: options.message,
+    fields: 'id, type, role, emailAddress',
+    supportsAllDrives: true,
+  });
+  const notified = !options['no-notify'];
+  console.log(JSON.stringify({ shared: fileId, ...res.data, notified }, null, 2));
+}
+
+async function listPermissions(fileId) {
+  const meta = await fileMetadata(fileId);
+  const res = await drive.permissions.list({
+    fileId,
+    fields: 'permissions(id, type, role, emailAddress, domain, displayName, expirationTime)',
+    supportsAllDrives: true,
+  });
+  const permissions = (res.data.permissions || []).map((p) => ({
+    id: p.id,
+    type: p.type,
+    role: p.role,
+    email: p.emailAddress,
+    domain: p.domain,
+    name: p.displayName,
+    expires: p.expirationTime,
   }));
-  console.log(JSON.stringify(files, null, 2));
+  console.log(JSON.stringify({ id: meta.id, name: meta.name, permissions }, null, 2));
 }
 
 // ── CLI ──────────────────────────────────────────────────────────────────────
@@ -122,17 +910,41 @@ const [, , command, ...args] = process.argv;
 (async () => {
   try {
     switch (command) {
-      case 'files':
-        await listFiles(args[0], args.slice(1).join(' '));
+      case 'files': {
+        const options = parseOptions(args, FILTER_FLAGS, FILTER_SWITCHES);
+        await listFiles(options._[0], options._.slice(1).join(' '), options);
         break;
-      case 'read':
-        if (!args[0]) {
-          console.error('Usage: sheets.js read <spreadsheetId> [range]');
+      }
+      case 'read': {
+        const options = parseOptions(
+          args,
+          ['--value-render', '--format'],
+          ['--headers', '--all-sheets']
+        );
+        if (!options._[0]) {
+          console.error('Usage: sheets.js read <spreadsheetId> [range] [--headers] [--all-sheets]');
+          console.error('  [--value-render FORMATTED|UNFORMATTED|FORMULA] [--format json|csv|tsv]');
           console.error('  range example: "Sheet1!A1:D10"');
           process.exit(1);
         }
-        await readSheet(args[0], args[1]);
+        await readSheet(options._[0], options._[1], options);
+        break;
+      }
+      case 'query': {
+        const options = parseOptions(
+          args,
+          ['--select', '--limit', '--value-render', '--format'],
+          [],
+          ['--where']
+        );
+        if (!options._[0] || !options._[1]) {
+          console.error('Usage: sheets.js query <spreadsheetId> <sheet> [--where "Status=Open"]');
+          console.error('  [--select A,C|Name,Email] [--limit 50] [--format json|csv|tsv]');
+          process.exit(1);
+        }
+        await querySheet(options._[0], options._[1], options);
         break;
+      }
       case 'info':
         if (!args[0]) {
           console.error('Usage: sheets.js info <spreadsheetId>');
@@ -140,22 +952,135 @@ const [, , command, ...args] = process.argv;
         }
         await sheetInfo(args[0]);
         break;
-      case 'search':
+      case 'search': {
+        const options = parseOptions(args, FILTER_FLAGS, FILTER_SWITCHES);
+        if (!options._[0]) {
+          console.error('Usage: sheets.js search <query> [maxResults] [filters]');
+          process.exit(1);
+        }
+        await searchFiles(options._[0], options._[1], options);
+        break;
+      }
+      case 'download': {
+        const options = parseOptions(args, ['--max-bytes', '--max-chars'], ['--text']);
+        if (!options._[0]) {
+          console.error('Usage: sheets.js download <fileId> [out] [--text] [--max-bytes N]');
+          process.exit(1);
+        }
+        await downloadFile(options._[0], options);
+        break;
+      }
+      case 'export': {
+        const options = parseOptions(args, ['--as', '--max-chars', '--max-bytes']);
+        if (!options._[0] || !options.as) {
+          console.error(
+            'Usage: sheets.js export <fileId> --as <format> [out] [--max-chars N] [--max-bytes N]'
+          );
+          console.error('  Docs: txt, md, html, pdf, docx   Sheets: csv, tsv, pdf, xlsx');
+          console.error('  Slides: txt, pdf, pptx           Drawings: pdf, png, svg');
+          process.exit(1);
+        }
+        await exportFile(options._[0], options);
+        break;
+      }
+      case 'ls': {
+        const options = parseOptions(args, ['--max', '--depth']);
+        await listFolder(options._[0], options);
+        break;
+      }
+      case 'permissions':
         if (!args[0]) {
-          console.error('Usage: sheets.js search <query> [maxResults]');
+          console.error('Usage: sheets.js permissions <fileId>');
+          process.exit(1);
+        }
+        await listPermissions(args[0]);
+        break;
+      case 'mkdir': {
+        const options = parseOptions(args, ['--parent']);
+        if (!options._[0]) {
+          console.error('Usage: sheets.js mkdir <name|path> [--parent <folderId|path>]');
+          process.exit(1);
+        }
+        await makeFolder(options._[0], options);
+        break;
+      }
+      case 'upload': {
+        const options = parseOptions(args, ['--folder', '--name'], ['--convert']);
+        if (!options._[0]) {
+          console.error('Usage: sheets.js upload <localFile> [--folder <folderId|path>]');
+          console.error('  [--name N] [--convert]');
+          process.exit(1);
+        }
+        await uploadFile(options._[0], options);
+        break;
+      }
+      case 'share': {
+        const options = parseOptions(args, ['--role', '--message'], ['--no-notify']);
+        if (!options._[0] || !options._[1]) {
+          console.error('Usage: sheets.js share <fileId> <email> [--role reader|commenter|writer]');
+          console.error('  [--message "..."] [--no-notify]');
+          process.exit(1);
+        }
+        await shareFile(options._[0], options._[1], options);
+        break;
+      }
+      case 'write':
+      case 'append': {
+        const options = parseOptions(args, ['--format'], ['--raw']);
+        const [spreadsheetId, target, source] = options._;
+        if (!source) {
+          const where = command === 'write' ? '<range>' : '<sheet>';
+          console.error(`Usage: sheets.js ${command} <spreadsheetId> ${where} <json|file|->`);
+          console.error('  [--format json|csv|tsv] [--raw]');
+          process.exit(1);
+        }
+        if (command === 'write') await writeRange(spreadsheetId, target, source, options);
+        else await appendRows(spreadsheetId, target, source, options);
+        break;
+      }
+      case 'clear':
+        if (!args[0] || !args[1]) {
+          console.error('Usage: sheets.js clear <spreadsheetId> <range>');
+          process.exit(1);
+        }
+        await clearRange(args[0], args[1]);
+        break;
+      case 'add-sheet': {
+        const options = parseOptions(args, ['--rows', '--cols']);
+        if (!options._[0] || !options._[1]) {
+          console.error('Usage: sheets.js add-sheet <spreadsheetId> <title> [--rows N] [--cols N]');
+          process.exit(1);
+        }
+        await addSheet(options._[0], options._[1], options);
+        break;
+      }
+      case 'batch-update': {
+        const options = parseOptions(args, [], ['--raw']);
+        if (!options._[0] || !options._[1]) {
+          console.error('Usage: sheets.js batch-update <spreadsheetId> <json|file|-> [--raw]');
           process.exit(1);
         }
-        await searchFiles(args[0], args[1]);
+        await batchUpdate(options._[0], options._[1], options);
         break;
+      }
       default:
-        console.error('Sheets & Drive Helper — Read Only');
-        console.error('Commands: files, read, info, search');
+        console.error('Sheets & Drive Helper — Read; Write with SHEETS_ALLOW_WRITE=true');
+        console.error('Commands: files, ls, read, query, info, search, download, export, permissions');
+        console.error('Write commands: write, append, clear, add-sheet, batch-update');
+        console.error('Drive commands (DRIVE_ALLOW_WRITE=true): upload, mkdir, share');
         console.error('Examples:');
         console.error('  node sheets.js files 10');
         console.error('  node sheets.js search "budget"');
+        console.error('  node sheets.js files 50 --type sheet --modified-after 7d');
         console.error('  node sheets.js info 1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgVE2upms');
         console.error('  node sheets.js read 1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgVE2upms');
         console.error('  node sheets.js read 1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgVE2upms "Sheet1!A1:D10"');
+        console.error('  node sheets.js ls "Reports/2026"');
+        console.error('  node sheets.js export <docId> --as md');
+        console.error('  node sheets.js query <spreadsheetId> Tasks --where "Status=Open" --limit 20');
+        console.error('  node sheets.js append <spreadsheetId> Log \'[["2026-02-10","done"]]\'');
+        console.error('  node sheets.js write <spreadsheetId> "Sheet1!A1" /tmp/table.csv');
+        console.error('  node sheets.js upload /tmp/report.pdf --folder "Reports/2026"');
         process.exit(1);
     }
   } catch (err) {
@@ -0,0 +1,177 @@
+/**
+ * Google Workspace - Time Zone Helpers
+ *
+ * Wall-clock arithmetic in IANA time zones using Intl alone, so the calendar script
+ * needs no date library. Times are Date instants; wall-clock fields are plain objects
+ * like {year, month, day, hour, minute} with month 1-12.
+ *
+ * Usage:
+ *   const { zonedTime, formatInZone } = require('./time-zones');
+ *   const start = zonedTime({ year: 2026, month: 3, day: 9, hour: 9 }, 'Europe/Berlin');
+ *   formatInZone(start, 'Europe/Berlin'); // 2026-03-09T09:00:00+01:00
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Unknown time zone: ${timeZone} (use an IANA name like Europe/Berlin)`);
+  }
+  return timeZone;
+}
+
+const zoneFormats = new Map();
+
+// Wall-clock fields of an instant in a time zone
+function zonedParts(date, timeZone) {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short',
+      })
+    );
+  }
+  const parts = zoneFormats.get(timeZone).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+  };
+}
+
+// Minutes the zone is ahead of UTC at this instant
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE);
+}
+
+/**
+ * The instant a wall-clock time occurs in a time zone
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} fields
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = zoneOffset(new Date(guess), timeZone);
+  let result = guess - offset * MINUTE;
+  // Around DST changes the offset at the result can differ from the guess's
+  const actual = zoneOffset(new Date(result), timeZone);
+  if (actual !== offset) result = guess - actual * MINUTE;
+  return new Date(result);
+}
+
+// Calendar date `days` after the given one (month/year rollover handled by Date.UTC)
+function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+// ISO 8601 with the zone's offset, e.g. 2026-02-10T09:00:00-08:00
+function formatInZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const offset = zoneOffset(date, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+  );
+}
+
+/**
+ * Parse a --from/--to value in a time zone
+ * @param {string} value - now, today, tomorrow, YYYY-MM-DD, YYYY-MM-DDTHH:MM (zone-local) or ISO with offset
+ * @param {string} timeZone
+ * @param {boolean} [endOfDay] - Dates mean the end of that day rather than the start
+ * @returns {Date}
+ */
+function parseWhen(value, timeZone, endOfDay = false) {
+  const today = zonedParts(new Date(), timeZone);
+  if (value === 'now') return new Date();
+  if (value === 'today' || value === 'tomorrow') {
+    return zonedTime(addDays(today, (value === 'tomorrow' ? 1 : 0) + (endOfDay ? 1 : 0)), timeZone);
+  }
+  const date = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (date) {
+    const fields = { year: Number(date[1]), month: Number(date[2]), day: Number(date[3]) };
+    return zonedTime(endOfDay ? addDays(fields, 1) : fields, timeZone);
+  }
+  const local = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/);
+  if (local) {
+    const [, year, month, day, hour, minute] = local.map(Number);
+    return zonedTime({ year, month, day, hour, minute }, timeZone);
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Can't parse date "${value}" (use today, tomorrow, YYYY-MM-DD or ISO 8601)`);
+  }
+  return parsed;
+}
+
+// Start of the day `days` after today in the zone
+function dayStart(timeZone, days = 0) {
+  return zonedTime(addDays(zonedParts(new Date(), timeZone), days), timeZone);
+}
+
+/**
+ * Named ranges in a time zone; weeks run Monday to Sunday
+ * @returns {{from: Date, to: Date}}
+ */
+function namedRange(name, timeZone) {
+  const today = zonedParts(new Date(), timeZone);
+  // Days until next Monday (1..7), so Sunday's "week" is just Sunday
+  const toMonday = (8 - today.weekday) % 7 || 7;
+  const firstOfMonth = (offset) =>
+    zonedTime({ year: today.year, month: today.month + offset, day: 1 }, timeZone);
+  switch (name) {
+    case 'today':
+      return { from: dayStart(timeZone), to: dayStart(timeZone, 1) };
+    case 'tomorrow':
+      return { from: dayStart(timeZone, 1), to: dayStart(timeZone, 2) };
+    case 'week':
+      return { from: dayStart(timeZone), to: dayStart(timeZone, toMonday) };
+    case 'next-week':
+      return { from: dayStart(timeZone, toMonday), to: dayStart(timeZone, toMonday + 7) };
+    case 'month':
+      return { from: dayStart(timeZone), to: firstOfMonth(1) };
+    case 'next-month':
+      return { from: firstOfMonth(1), to: firstOfMonth(2) };
+    default:
+      throw new Error(`Unknown range: ${name}`);
+  }
+}
+
+module.exports = {
+  MINUTE,
+  DAY,
+  checkTimeZone,
+  zonedParts,
+  zoneOffset,
+  zonedTime,
+  addDays,
+  formatInZone,
+  parseWhen,
+  dayStart,
+  namedRange,
+};
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  checkTimeZone,
+  zonedParts,
+  zoneOffset,
+  zonedTime,
+  addDays,
+  formatInZone,
+  parseWhen,
+  namedRange,
+} from './time-zones';
+
+const local = (fields, timeZone) => formatInZone(zonedTime(fields, timeZone), timeZone);
+
+describe('checkTimeZone', () => {
+  it('returns known zones', () => {
+    expect(checkTimeZone('Europe/Berlin')).toBe('Europe/Berlin');
+  });
+
+  it('rejects unknown zones', () => {
+    expect(() => checkTimeZone('Mars/Olympus')).toThrow('Unknown time zone: Mars/Olympus');
+  });
+});
+
+describe('zonedParts', () => {
+  it('reads the wall clock across the date line', () => {
+    expect(zonedParts(new Date('2026-10-19T23:30:00Z'), 'Asia/Tokyo')).toEqual({
+      year: 2026,
+      month: 10,
+      day: 20,
+      hour: 8,
+      minute: 30,
+      second: 0,
+      weekday: 2,
+    });
+  });
+});
+
+describe('zoneOffset', () => {
+  it('handles offsets that are not whole hours', () => {
+    expect(zoneOffset(new Date('2026-07-01T00:00:00Z'), 'Asia/Kathmandu')).toBe(345);
+  });
+
+  it('follows daylight saving time', () => {
+    expect(zoneOffset(new Date('2026-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+    expect(zoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+  });
+});
+
+describe('zonedTime', () => {
+  it('finds the instant of a wall-clock time', () => {
+    expect(local({ year: 2026, month: 1, day: 15, hour: 9 }, 'America/New_York')).toBe(
+      '2026-01-15T09:00:00-05:00'
+    );
+  });
+
+  it('moves a time skipped by the spring change forward', () => {
+    expect(local({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Berlin')).toBe(
+      '2026-03-29T03:30:00+02:00'
+    );
+  });
+
+  it('keeps the wall clock of a time repeated by the autumn change', () => {
+    const text = local({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Berlin');
+    expect(text.startsWith('2026-10-25T02:30:00')).toBe(true);
+  });
+
+  it('rolls months past December into the next year', () => {
+    expect(zonedTime({ year: 2026, month: 13, day: 1 }, 'UTC').toISOString()).toBe(
+      '2027-01-01T00:00:00.000Z'
+    );
+  });
+});
+
+describe('addDays', () => {
+  const date = (year, month, day) => ({ year, month, day });
+
+  it('rolls over months, leap days and years', () => {
+    expect(addDays(date(2028, 2, 28), 1)).toEqual(date(2028, 2, 29));
+    expect(addDays(date(2026, 2, 28), 1)).toEqual(date(2026, 3, 1));
+    expect(addDays(date(2026, 12, 31), 1)).toEqual(date(2027, 1, 1));
+    expect(addDays(date(2026, 3, 1), -1)).toEqual(date(2026, 2, 28));
+  });
+});
+
+describe('formatInZone', () => {
+  it('writes the zone offset', () => {
+    const date = new Date('2026-07-01T12:00:00Z');
+    expect(formatInZone(date, 'Asia/Kolkata')).toBe('2026-07-01T17:30:00+05:30');
+    expect(formatInZone(date, 'America/Los_Angeles')).toBe('2026-07-01T05:00:00-07:00');
+    expect(formatInZone(date, 'UTC')).toBe('2026-07-01T12:00:00+00:00');
+  });
+});
+
+describe('parseWhen', () => {
+  it('reads a date as the start of that day in the zone', () => {
+    expect(parseWhen('2026-07-01', 'Asia/Kolkata').toISOString()).toBe('2026-06-30T18:30:00.000Z');
+  });
+
+  it('reads a date as the end of that day when asked', () => {
+    expect(parseWhen('2026-07-01', 'Asia/Kolkata', true).toISOString()).toBe(
+      '2026-07-01T18:30:00.000Z'
+    );
+  });
+
+  it('reads a local time in the zone', () => {
+    expect(parseWhen('2026-07-01T10:15', 'America/Los_Angeles').toISOString()).toBe(
+      '2026-07-01T17:15:00.000Z'
+    );
+  });
+
+  it('keeps an explicit offset', () => {
+    expect(parseWhen('2026-07-01T10:15:00Z', 'America/Los_Angeles').toISOString()).toBe(
+      '2026-07-01T10:15:00.000Z'
+    );
+  });
+
+  it('rejects unreadable values', () => {
+    expect(() => parseWhen('next tuesday', 'UTC')).toThrow('Can\'t parse date "next tuesday"');
+  });
+});
+
+describe('namedRange', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Wednesday 2026-10-21, 23:30 in Berlin (21:30 UTC)
+  const wednesdayNight = new Date('2026-10-21T21:30:00Z');
+
+  it('uses the day in the zone, not in UTC', () => {
+    vi.useFakeTimers({ now: wednesdayNight });
+    const { from, to } = namedRange('tomorrow', 'Europe/Berlin');
+    expect(formatInZone(from, 'Europe/Berlin')).toBe('2026-10-22T00:00:00+02:00');
+    expect(formatInZone(to, 'Europe/Berlin')).toBe('2026-10-23T00:00:00+02:00');
+  });
+
+  it('runs the week to Monday and next week over the clock change', () => {
+    vi.useFakeTimers({ now: wednesdayNight });
+    const week = namedRange('week', 'Europe/Berlin');
+    const nextWeek = namedRange('next-week', 'Europe/Berlin');
+    expect(formatInZone(week.to, 'Europe/Berlin')).toBe('2026-10-26T00:00:00+01:00');
+    expect(nextWeek.from).toEqual(week.to);
+    expect(formatInZone(nextWeek.to, 'Europe/Berlin')).toBe('2026-11-02T00:00:00+01:00');
+  });
+
+  it('covers next month from its first day', () => {
+    vi.useFakeTimers({ now: wednesdayNight });
+    const { from, to } = namedRange('next-month', 'Europe/Berlin');
+    expect(formatInZone(from, 'Europe/Berlin')).toBe('2026-11-01T00:00:00+01:00');
+    expect(formatInZone(to, 'Europe/Berlin')).toBe('2026-12-01T00:00:00+01:00');
+  });
+
+  it('rejects unknown names', () => {
+    expect(() => namedRange('fortnight', 'UTC')).toThrow('Unknown range: fortnight');
+  });
+});
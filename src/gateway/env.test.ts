@@ -150,6 +150,43 @@ describe('buildEnvVars', () => {
     expect(result.CF_ACCOUNT_ID).toBe('acct-123');
   });
 
+  it('passes Google Workspace credentials and opt-in flags to container', () => {
+    const env = createMockEnv({
+      GOOGLE_CLIENT_ID: 'client-id',
+      GOOGLE_CLIENT_SECRET: 'client-secret',
+      GOOGLE_REFRESH_TOKEN: 'refresh-token',
+      GMAIL_ALLOW_SEND: 'true',
+      GMAIL_ALLOW_TRASH: 'true',
+      SHEETS_ALLOW_WRITE: 'true',
+      DRIVE_ALLOW_WRITE: 'true',
+      GOOGLE_CALENDAR_TIMEZONE: 'Europe/Berlin',
+    });
+    const result = buildEnvVars(env);
+
+    expect(result.GOOGLE_CLIENT_ID).toBe('client-id');
+    expect(result.GOOGLE_CLIENT_SECRET).toBe('client-secret');
+    expect(result.GOOGLE_REFRESH_TOKEN).toBe('refresh-token');
+    expect(result.GMAIL_ALLOW_SEND).toBe('true');
+    expect(result.GMAIL_ALLOW_TRASH).toBe('true');
+    expect(result.SHEETS_ALLOW_WRITE).toBe('true');
+    expect(result.DRIVE_ALLOW_WRITE).toBe('true');
+    expect(result.GOOGLE_CALENDAR_TIMEZONE).toBe('Europe/Berlin');
+  });
+
+  it('passes Google service-account credentials to container', () => {
+    const env = createMockEnv({
+      GOOGLE_SERVICE_ACCOUNT_KEY: '{"type":"service_account"}',
+      GOOGLE_IMPERSONATE_USER: 'team@example.com',
+      GOOGLE_SCOPES: 'calendar gmail.modify',
+    });
+    const result = buildEnvVars(env);
+
+    expect(result.GOOGLE_SERVICE_ACCOUNT_KEY).toBe('{"type":"service_account"}');
+    expect(result.GOOGLE_IMPERSONATE_USER).toBe('team@example.com');
+    expect(result.GOOGLE_SCOPES).toBe('calendar gmail.modify');
+    expect(result.GOOGLE_CLIENT_ID).toBeUndefined();
+  });
+
   it('combines all env vars correctly', () => {
     const env = createMockEnv({
       ANTHROPIC_API_KEY: 'sk-key',
@@ -52,6 +52,16 @@ export function buildEnvVars(env: MoltbotEnv): Record<string, string> {
   if (env.GOOGLE_CLIENT_ID) envVars.GOOGLE_CLIENT_ID = env.GOOGLE_CLIENT_ID;
   if (env.GOOGLE_CLIENT_SECRET) envVars.GOOGLE_CLIENT_SECRET = env.GOOGLE_CLIENT_SECRET;
   if (env.GOOGLE_REFRESH_TOKEN) envVars.GOOGLE_REFRESH_TOKEN = env.GOOGLE_REFRESH_TOKEN;
+  if (env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+    envVars.GOOGLE_SERVICE_ACCOUNT_KEY = env.GOOGLE_SERVICE_ACCOUNT_KEY;
+  }
+  if (env.GOOGLE_IMPERSONATE_USER) envVars.GOOGLE_IMPERSONATE_USER = env.GOOGLE_IMPERSONATE_USER;
+  if (env.GOOGLE_SCOPES) envVars.GOOGLE_SCOPES = env.GOOGLE_SCOPES;
+  if (env.GMAIL_ALLOW_SEND) envVars.GMAIL_ALLOW_SEND = env.GMAIL_ALLOW_SEND;
+  if (env.GMAIL_ALLOW_TRASH) envVars.GMAIL_ALLOW_TRASH = env.GMAIL_ALLOW_TRASH;
+  if (env.SHEETS_ALLOW_WRITE) envVars.SHEETS_ALLOW_WRITE = env.SHEETS_ALLOW_WRITE;
+  if (env.DRIVE_ALLOW_WRITE) envVars.DRIVE_ALLOW_WRITE = env.DRIVE_ALLOW_WRITE;
+  if (env.GOOGLE_CALENDAR_TIMEZONE) envVars.GOOGLE_CALENDAR_TIMEZONE = env.GOOGLE_CALENDAR_TIMEZONE;
   if (env.CDP_SECRET) envVars.CDP_SECRET = env.CDP_SECRET;
   if (env.WORKER_URL) envVars.WORKER_URL = env.WORKER_URL;
 
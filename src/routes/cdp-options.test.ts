@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { callFunctionExpression, pdfOptions, screenshotOptions } from './cdp-options';
+
+describe('pdfOptions', () => {
+  it('returns empty options when no params are given', () => {
+    expect(pdfOptions({})).toEqual({});
+  });
+
+  it('converts paper size and margins to inches', () => {
+    const result = pdfOptions({
+      paperWidth: 8.5,
+      paperHeight: 11,
+      marginTop: 1,
+      marginBottom: 0.5,
+      marginLeft: 0.75,
+      marginRight: 0.75,
+    });
+    expect(result.width).toBe('8.5in');
+    expect(result.height).toBe('11in');
+    expect(result.margin).toEqual({
+      top: '1in',
+      bottom: '0.5in',
+      left: '0.75in',
+      right: '0.75in',
+    });
+  });
+
+  it('keeps zero margins', () => {
+    const result = pdfOptions({ marginTop: 0, marginBottom: 0, marginLeft: 0, marginRight: 0 });
+    expect(result.margin).toEqual({ top: '0in', bottom: '0in', left: '0in', right: '0in' });
+  });
+
+  it('keeps printBackground false', () => {
+    const result = pdfOptions({ printBackground: false });
+    expect(result).toHaveProperty('printBackground', false);
+  });
+
+  it('keeps landscape and preferCSSPageSize false', () => {
+    const result = pdfOptions({ landscape: false, preferCSSPageSize: false });
+    expect(result).toHaveProperty('landscape', false);
+    expect(result).toHaveProperty('preferCSSPageSize', false);
+  });
+
+  it('passes header, footer, page ranges and scale through', () => {
+    const result = pdfOptions({
+      displayHeaderFooter: true,
+      headerTemplate: '<span class="title"></span>',
+      footerTemplate: '<span class="pageNumber"></span>',
+      pageRanges: '1-3,5',
+      scale: 0.8,
+    });
+    expect(result.displayHeaderFooter).toBe(true);
+    expect(result.headerTemplate).toBe('<span class="title"></span>');
+    expect(result.footerTemplate).toBe('<span class="pageNumber"></span>');
+    expect(result.pageRanges).toBe('1-3,5');
+    expect(result.scale).toBe(0.8);
+  });
+});
+
+describe('screenshotOptions', () => {
+  it('defaults to a base64 png of the viewport', () => {
+    expect(screenshotOptions({})).toEqual({ type: 'png', encoding: 'base64' });
+  });
+
+  it('passes quality only for lossy formats', () => {
+    expect(screenshotOptions({ format: 'jpeg', quality: 70 }).quality).toBe(70);
+    expect(screenshotOptions({ format: 'png', quality: 70 })).not.toHaveProperty('quality');
+  });
+
+  it('maps captureBeyondViewport without a clip to fullPage', () => {
+    expect(screenshotOptions({ captureBeyondViewport: true }).fullPage).toBe(true);
+    expect(screenshotOptions({ captureBeyondViewport: false }).fullPage).toBe(false);
+  });
+
+  it('lets an explicit fullPage win', () => {
+    expect(screenshotOptions({ fullPage: false, captureBeyondViewport: true }).fullPage).toBe(
+      false,
+    );
+  });
+
+  it('keeps the clip scale and captureBeyondViewport with a clip', () => {
+    const clip = { x: 0, y: 1200, width: 800, height: 400, scale: 2 };
+    const result = screenshotOptions({ clip, captureBeyondViewport: true });
+    expect(result.clip).toEqual(clip);
+    expect(result.captureBeyondViewport).toBe(true);
+    expect(result).not.toHaveProperty('fullPage');
+  });
+});
+
+// Indirect eval stands in for the page evaluating the expression
+const run = (expression: string): unknown => (0, eval)(expression);
+
+describe('callFunctionExpression', () => {
+  it('calls the function with the arguments in order', () => {
+    const expression = callFunctionExpression('(a, b) => a + b', [2, 3]);
+    expect(expression).toBe('((a, b) => a + b).apply(null, [2,3])');
+    expect(run(expression)).toBe(5);
+  });
+
+  it('passes strings with quotes, backticks and template syntax through unchanged', () => {
+    const text = 'it\'s "quoted" `tick` ${window.secret} \\ </script>\n ';
+    expect(run(callFunctionExpression('(s) => s', [text]))).toBe(text);
+  });
+
+  it('does not run code hidden in an argument', () => {
+    const attack = '"); globalThis.injected = true; ("';
+    run(callFunctionExpression('(s) => s.length', [attack]));
+    expect((globalThis as { injected?: boolean }).injected).toBeUndefined();
+  });
+
+  it('passes objects, arrays and null by value', () => {
+    const args = [{ a: [1, { b: null }] }, null];
+    expect(run(callFunctionExpression('(o, n) => [o.a[1].b, n]', args))).toEqual([null, null]);
+  });
+
+  it('works with function declarations', () => {
+    const expression = callFunctionExpression('function () { return arguments.length; }', [1, 2]);
+    expect(run(expression)).toBe(2);
+  });
+});
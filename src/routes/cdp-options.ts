@@ -0,0 +1,88 @@
+import type { PDFOptions, ScreenshotClip, ScreenshotOptions } from '@cloudflare/puppeteer';
+
+/**
+ * Translation of CDP command parameters into Puppeteer calls
+ *
+ * Kept apart from the WebSocket shim so the mapping can be tested without a browser.
+ * Parameters are checked against `undefined` rather than for truthiness: `0` margins
+ * and `printBackground: false` are deliberate values, not missing ones.
+ */
+
+/**
+ * Map Page.printToPDF parameters (sizes in inches) to page.pdf() options
+ *
+ * @param params - CDP command parameters
+ * @returns Options for page.pdf()
+ */
+export function pdfOptions(params: Record<string, unknown>): PDFOptions {
+  const options: PDFOptions = {};
+
+  if (params.landscape !== undefined) options.landscape = params.landscape as boolean;
+  if (params.displayHeaderFooter !== undefined)
+    options.displayHeaderFooter = params.displayHeaderFooter as boolean;
+  if (params.printBackground !== undefined)
+    options.printBackground = params.printBackground as boolean;
+  if (params.scale !== undefined) options.scale = params.scale as number;
+  if (params.paperWidth !== undefined) options.width = `${params.paperWidth}in`;
+  if (params.paperHeight !== undefined) options.height = `${params.paperHeight}in`;
+  if (params.marginTop !== undefined)
+    options.margin = { ...options.margin, top: `${params.marginTop}in` };
+  if (params.marginBottom !== undefined)
+    options.margin = { ...options.margin, bottom: `${params.marginBottom}in` };
+  if (params.marginLeft !== undefined)
+    options.margin = { ...options.margin, left: `${params.marginLeft}in` };
+  if (params.marginRight !== undefined)
+    options.margin = { ...options.margin, right: `${params.marginRight}in` };
+  if (params.pageRanges !== undefined) options.pageRanges = params.pageRanges as string;
+  if (params.headerTemplate !== undefined) options.headerTemplate = params.headerTemplate as string;
+  if (params.footerTemplate !== undefined) options.footerTemplate = params.footerTemplate as string;
+  if (params.preferCSSPageSize !== undefined)
+    options.preferCSSPageSize = params.preferCSSPageSize as boolean;
+
+  return options;
+}
+
+/**
+ * Map Page.captureScreenshot parameters to page.screenshot() options
+ *
+ * `captureBeyondViewport` without a clip means the whole page, which Puppeteer calls
+ * `fullPage`; with a clip it lets the clip (and its `scale`) reach past the viewport.
+ *
+ * @param params - CDP command parameters
+ * @returns Options for page.screenshot(), always base64-encoded
+ */
+export function screenshotOptions(
+  params: Record<string, unknown>,
+): ScreenshotOptions & { encoding: 'base64' } {
+  const format = (params.format as 'png' | 'jpeg' | 'webp' | undefined) || 'png';
+  const clip = params.clip as ScreenshotClip | undefined;
+  const beyondViewport = params.captureBeyondViewport as boolean | undefined;
+
+  const options: ScreenshotOptions & { encoding: 'base64' } = {
+    type: format,
+    encoding: 'base64',
+  };
+  if (format !== 'png' && params.quality !== undefined) options.quality = params.quality as number;
+  if (clip) {
+    options.clip = clip;
+    if (beyondViewport !== undefined) options.captureBeyondViewport = beyondViewport;
+  } else if (params.fullPage !== undefined || beyondViewport !== undefined) {
+    options.fullPage = ((params.fullPage as boolean | undefined) ?? beyondViewport) === true;
+  }
+
+  return options;
+}
+
+/**
+ * Build the Runtime.callFunctionOn call as an expression for page.evaluate()
+ *
+ * Workers forbid new Function(), and the arguments have to cross as JSON either way,
+ * so they are embedded as a JSON literal rather than spliced in as source text.
+ *
+ * @param functionDeclaration - Function source, e.g. `(sel) => document.querySelector(sel)`
+ * @param args - Argument values, already resolved from object IDs
+ * @returns Expression that calls the function with the arguments
+ */
+export function callFunctionExpression(functionDeclaration: string, args: unknown[]): string {
+  return `(${functionDeclaration}).apply(null, ${JSON.stringify(args)})`;
+}
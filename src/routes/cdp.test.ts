@@ -0,0 +1,127 @@
+import { EventEmitter } from 'node:events';
+import { describe, it, expect, vi } from 'vitest';
+import type { Page } from '@cloudflare/puppeteer';
+import { attachLifecycleEvents, startNavigation } from './cdp';
+
+type Session = Parameters<typeof startNavigation>[0];
+
+function createMockSession(): Session {
+  return { defaultTargetId: 'target-1', loaderIds: new Map() } as unknown as Session;
+}
+
+function createMockPage(networkIdle: Promise<void> = new Promise(() => {})) {
+  const page = new EventEmitter() as EventEmitter & {
+    waitForNetworkIdle: ReturnType<typeof vi.fn>;
+  };
+  page.waitForNetworkIdle = vi.fn().mockReturnValue(networkIdle);
+  return page;
+}
+
+function createDeferred() {
+  let resolve!: () => void;
+  const promise = new Promise<void>((done) => (resolve = done));
+  return { promise, resolve };
+}
+
+function createMockWebSocket() {
+  const send = vi.fn();
+  const events = () =>
+    send.mock.calls.map(([message]) => JSON.parse(message as string)) as Array<{
+      method: string;
+      params: Record<string, unknown>;
+    }>;
+  return { ws: { send } as unknown as WebSocket, events };
+}
+
+describe('startNavigation', () => {
+  it('assigns a fresh loaderId and emits init with it', () => {
+    const session = createMockSession();
+    const page = createMockPage() as unknown as Page;
+    const { ws, events } = createMockWebSocket();
+
+    const first = startNavigation(session, page, ws);
+    const second = startNavigation(session, page, ws);
+
+    expect(first).not.toBe(second);
+    expect(session.loaderIds.get(page)).toBe(second);
+    expect(events().map((e) => [e.method, e.params.name, e.params.loaderId])).toEqual([
+      ['Page.lifecycleEvent', 'init', first],
+      ['Page.lifecycleEvent', 'init', second],
+    ]);
+  });
+});
+
+describe('attachLifecycleEvents', () => {
+  it('emits domContentEventFired with a DOMContentLoaded lifecycle event', () => {
+    const session = createMockSession();
+    const page = createMockPage();
+    const { ws, events } = createMockWebSocket();
+    attachLifecycleEvents(session, page as unknown as Page, 'target-1', ws);
+    const loaderId = startNavigation(session, page as unknown as Page, ws);
+
+    page.emit('domcontentloaded');
+
+    expect(events().slice(1)).toMatchObject([
+      { method: 'Page.domContentEventFired' },
+      {
+        method: 'Page.lifecycleEvent',
+        params: { frameId: 'target-1', loaderId, name: 'DOMContentLoaded' },
+      },
+    ]);
+  });
+
+  it('emits load, then networkIdle once the page goes quiet', async () => {
+    const session = createMockSession();
+    const networkIdle = createDeferred();
+    const page = createMockPage(networkIdle.promise);
+    const { ws, events } = createMockWebSocket();
+    attachLifecycleEvents(session, page as unknown as Page, 'target-1', ws);
+    const loaderId = startNavigation(session, page as unknown as Page, ws);
+
+    page.emit('load');
+    expect(
+      events()
+        .slice(1)
+        .map((e) => e.params?.name ?? e.method),
+    ).toEqual(['Page.loadEventFired', 'load']);
+
+    networkIdle.resolve();
+    await vi.waitFor(() => expect(events()).toHaveLength(4));
+    expect(events()[3].params).toMatchObject({ name: 'networkIdle', loaderId });
+  });
+
+  it('attributes a late networkIdle to the navigation that loaded', async () => {
+    const session = createMockSession();
+    const networkIdle = createDeferred();
+    const page = createMockPage(networkIdle.promise);
+    const { ws, events } = createMockWebSocket();
+    attachLifecycleEvents(session, page as unknown as Page, 'target-1', ws);
+    const loaded = startNavigation(session, page as unknown as Page, ws);
+
+    page.emit('load');
+    const next = startNavigation(session, page as unknown as Page, ws);
+    networkIdle.resolve();
+
+    await vi.waitFor(() =>
+      expect(events().some((e) => e.params?.name === 'networkIdle')).toBe(true),
+    );
+    const idle = events().find((e) => e.params?.name === 'networkIdle');
+    expect(idle?.params.loaderId).toBe(loaded);
+    expect(idle?.params.loaderId).not.toBe(next);
+  });
+
+  it('stays silent when the page never goes idle', async () => {
+    const session = createMockSession();
+    const page = createMockPage(Promise.reject(new Error('Timed out')));
+    const { ws, events } = createMockWebSocket();
+    attachLifecycleEvents(session, page as unknown as Page, 'target-1', ws);
+
+    page.emit('load');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(events().map((e) => e.params?.name ?? e.method)).toEqual([
+      'Page.loadEventFired',
+      'load',
+    ]);
+  });
+});
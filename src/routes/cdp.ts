@@ -1,6 +1,11 @@
 import { Hono } from 'hono';
 import type { AppEnv, MoltbotEnv } from '../types';
-import puppeteer, { type Browser, type Page } from '@cloudflare/puppeteer';
+import puppeteer, {
+  type Browser,
+  type CDPSession as PuppeteerCDPSession,
+  type Page,
+} from '@cloudflare/puppeteer';
+import { callFunctionExpression, pdfOptions, screenshotOptions } from './cdp-options';
 
 /**
  * CDP (Chrome DevTools Protocol) WebSocket shim
@@ -15,6 +20,8 @@ import puppeteer, { type Browser, type Page } from '@cloudflare/puppeteer';
  * - Browser: getVersion, close
  * - Target: createTarget, closeTarget, getTargets
  * - Page: navigate, reload, getFrameTree, captureScreenshot, getLayoutMetrics
+ *   (emits domContentEventFired, loadEventFired and lifecycleEvent)
+ * - Page: startScreencast, stopScreencast, screencastFrameAck (emits screencastFrame)
  * - Runtime: evaluate
  * - DOM: getDocument, querySelector, querySelectorAll, getOuterHTML, getAttributes
  * - Input: dispatchMouseEvent, dispatchKeyEvent, insertText
@@ -58,8 +65,15 @@ interface CDPSession {
   extraHTTPHeaders: Map<string, string>; // header name -> value
   requestInterceptionEnabled: boolean;
   pendingRequests: Map<string, { request: Request; resolve: (response: Response) => void }>;
+  loaderIds: Map<Page, string>; // page -> loaderId of its current navigation
+  screencasts: Map<Page, PuppeteerCDPSession>; // page -> raw CDP session streaming frames
 }
 
+/** How long the network must be quiet before emitting the networkIdle lifecycle event */
+const NETWORK_IDLE_TIME_MS = 500;
+/** Give up on networkIdle for pages that never settle (long polling, streaming) */
+const NETWORK_IDLE_TIMEOUT_MS = 30000;
+
 /**
  * GET /cdp - WebSocket upgrade endpoint
  *
@@ -90,6 +104,9 @@ cdp.get('/', async (c) => {
         'Page.bringToFront',
         'Page.setContent',
         'Page.printToPDF',
+        'Page.startScreencast',
+        'Page.stopScreencast',
+        'Page.screencastFrameAck',
         'Page.addScriptToEvaluateOnNewDocument',
         'Page.removeScriptToEvaluateOnNewDocument',
         'Page.handleJavaScriptDialog',
@@ -384,8 +401,12 @@ async function initCDPSession(ws: WebSocket, env: MoltbotEnv): Promise<void> {
       extraHTTPHeaders: new Map(),
       requestInterceptionEnabled: false,
       pendingRequests: new Map(),
+      loaderIds: new Map(),
+      screencasts: new Map(),
     };
 
+    attachLifecycleEvents(session, page, targetId, ws);
+
     // Send initial target created event
     sendEvent(ws, 'Target.targetCreated', {
       targetInfo: {
@@ -541,6 +562,7 @@ async function handleTarget(
       const targetId = crypto.randomUUID();
 
       session.pages.set(targetId, page);
+      attachLifecycleEvents(session, page, targetId, ws);
 
       if (url !== 'about:blank') {
         await page.goto(url);
@@ -567,8 +589,10 @@ async function handleTarget(
         throw new Error(`Target not found: ${targetId}`);
       }
 
+      await stopScreencast(session, page);
       await page.close();
       session.pages.delete(targetId);
+      session.loaderIds.delete(page);
 
       sendEvent(ws, 'Target.targetDestroyed', { targetId });
 
@@ -614,8 +638,12 @@ async function handlePage(
       const url = params.url as string;
       if (!url) throw new Error('url is required');
 
+      const loaderId = startNavigation(session, page, ws);
+
+      // Respond once the document is parsed, like real CDP; load and networkIdle
+      // follow as lifecycle events from attachLifecycleEvents
       const response = await page.goto(url, {
-        waitUntil: 'load',
+        waitUntil: 'domcontentloaded',
       });
 
       sendEvent(ws, 'Page.frameNavigated', {
@@ -627,18 +655,15 @@ async function handlePage(
         },
       });
 
-      sendEvent(ws, 'Page.loadEventFired', {
-        timestamp: Date.now() / 1000,
-      });
-
       return {
         frameId: session.defaultTargetId,
-        loaderId: crypto.randomUUID(),
+        loaderId,
         errorText: response?.ok() ? undefined : 'Navigation failed',
       };
     }
 
     case 'reload': {
+      startNavigation(session, page, ws);
       await page.reload();
       return {};
     }
@@ -659,19 +684,7 @@ async function handlePage(
     }
 
     case 'captureScreenshot': {
-      const format = (params.format as string) || 'png';
-      const quality = params.quality as number | undefined;
-      const clip = params.clip as
-        | { x: number; y: number; width: number; height: number }
-        | undefined;
-
-      const data = await page.screenshot({
-        type: format as 'png' | 'jpeg' | 'webp',
-        encoding: 'base64',
-        quality: format === 'jpeg' ? quality : undefined,
-        clip: clip,
-        fullPage: params.fullPage as boolean | undefined,
-      });
+      const data = await page.screenshot(screenshotOptions(params));
 
       return { data };
     }
@@ -727,33 +740,45 @@ async function handlePage(
     }
 
     case 'printToPDF': {
-      const options: Parameters<typeof page.pdf>[0] = {};
-
-      if (params.landscape) options.landscape = params.landscape as boolean;
-      if (params.displayHeaderFooter)
-        options.displayHeaderFooter = params.displayHeaderFooter as boolean;
-      if (params.printBackground) options.printBackground = params.printBackground as boolean;
-      if (params.scale) options.scale = params.scale as number;
-      if (params.paperWidth) options.width = `${params.paperWidth}in`;
-      if (params.paperHeight) options.height = `${params.paperHeight}in`;
-      if (params.marginTop) options.margin = { ...options.margin, top: `${params.marginTop}in` };
-      if (params.marginBottom)
-        options.margin = { ...options.margin, bottom: `${params.marginBottom}in` };
-      if (params.marginLeft) options.margin = { ...options.margin, left: `${params.marginLeft}in` };
-      if (params.marginRight)
-        options.margin = { ...options.margin, right: `${params.marginRight}in` };
-      if (params.pageRanges) options.pageRanges = params.pageRanges as string;
-      if (params.headerTemplate) options.headerTemplate = params.headerTemplate as string;
-      if (params.footerTemplate) options.footerTemplate = params.footerTemplate as string;
-      if (params.preferCSSPageSize) options.preferCSSPageSize = params.preferCSSPageSize as boolean;
-
-      const buffer = await page.pdf(options);
+      const buffer = await page.pdf(pdfOptions(params));
       // Convert to base64
       const data = typeof buffer === 'string' ? buffer : Buffer.from(buffer).toString('base64');
 
       return { data };
     }
 
+    case 'startScreencast': {
+      // Puppeteer has no public screencast API, so relay the raw protocol through a
+      // dedicated CDP session; frames keep the browser's own metadata timestamps
+      await stopScreencast(session, page);
+      const client = await page.createCDPSession();
+      session.screencasts.set(page, client);
+      client.on('Page.screencastFrame', (frame) => {
+        sendEvent(ws, 'Page.screencastFrame', { ...frame });
+      });
+      await client.send('Page.startScreencast', {
+        format: (params.format as 'jpeg' | 'png' | undefined) ?? 'jpeg',
+        quality: params.quality as number | undefined,
+        maxWidth: params.maxWidth as number | undefined,
+        maxHeight: params.maxHeight as number | undefined,
+        everyNthFrame: params.everyNthFrame as number | undefined,
+      });
+      return {};
+    }
+
+    case 'screencastFrameAck': {
+      const client = session.screencasts.get(page);
+      // Frames can still arrive just after stopScreencast; acking those is harmless
+      if (client) {
+        await client.send('Page.screencastFrameAck', { sessionId: params.sessionId as number });
+      }
+      return {};
+    }
+
+    case 'stopScreencast':
+      await stopScreencast(session, page);
+      return {};
+
     case 'addScriptToEvaluateOnNewDocument': {
       const source = params.source as string;
       if (!source) throw new Error('source is required');
@@ -839,6 +864,81 @@ async function handlePage(
   }
 }
 
+/**
+ * Begin tracking a new navigation on a page
+ *
+ * Assigns a fresh loaderId and emits the `init` lifecycle event, so lifecycle
+ * events from a previous navigation can be told apart by clients.
+ */
+function startNavigation(session: CDPSession, page: Page, ws: WebSocket): string {
+  const loaderId = crypto.randomUUID();
+  session.loaderIds.set(page, loaderId);
+  sendEvent(ws, 'Page.lifecycleEvent', {
+    frameId: session.defaultTargetId,
+    loaderId,
+    name: 'init',
+    timestamp: Date.now() / 1000,
+  });
+  return loaderId;
+}
+
+/**
+ * Stop a page's screencast, if one is running, and detach its CDP session
+ */
+async function stopScreencast(session: CDPSession, page: Page): Promise<void> {
+  const client = session.screencasts.get(page);
+  if (!client) return;
+
+  session.screencasts.delete(page);
+  try {
+    await client.send('Page.stopScreencast');
+    await client.detach();
+  } catch {
+    // Page already closed; nothing left to stop
+  }
+}
+
+/**
+ * Forward page load state to the client as CDP events
+ *
+ * Emits Page.domContentEventFired / Page.loadEventFired together with the
+ * matching Page.lifecycleEvent (DOMContentLoaded, load, networkIdle).
+ */
+function attachLifecycleEvents(
+  session: CDPSession,
+  page: Page,
+  targetId: string,
+  ws: WebSocket,
+): void {
+  const lifecycle = (name: string, loaderId = session.loaderIds.get(page)) => {
+    sendEvent(ws, 'Page.lifecycleEvent', {
+      frameId: targetId,
+      loaderId: loaderId ?? '',
+      name,
+      timestamp: Date.now() / 1000,
+    });
+  };
+
+  page.on('domcontentloaded', () => {
+    sendEvent(ws, 'Page.domContentEventFired', { timestamp: Date.now() / 1000 });
+    lifecycle('DOMContentLoaded');
+  });
+
+  page.on('load', () => {
+    sendEvent(ws, 'Page.loadEventFired', { timestamp: Date.now() / 1000 });
+    lifecycle('load');
+
+    // Capture the loaderId now so a late networkIdle can't be attributed to a newer navigation
+    const loaderId = session.loaderIds.get(page);
+    page
+      .waitForNetworkIdle({ idleTime: NETWORK_IDLE_TIME_MS, timeout: NETWORK_IDLE_TIMEOUT_MS })
+      .then(() => lifecycle('networkIdle', loaderId))
+      .catch(() => {
+        // Page never went idle or was closed; clients waiting on networkIdle time out themselves
+      });
+  });
+}
+
 /**
  * Runtime domain handlers
  */
@@ -907,8 +1007,7 @@ async function handleRuntime(
           return a.value;
         });
 
-        const fn = new Function(`return (${functionDeclaration}).apply(this, arguments)`);
-        const result = await page.evaluate(fn as () => unknown, ...argValues);
+        const result = await page.evaluate(callFunctionExpression(functionDeclaration, argValues));
 
         let objectId: string | undefined;
         if (!returnByValue && result !== null && typeof result === 'object') {
@@ -1184,9 +1283,8 @@ async function handleDOM(
         const el = document.querySelector(sel);
         if (!el) return null;
 
+        // Viewport-relative like real CDP, so quads can feed Input.dispatchMouseEvent directly
         const rect = el.getBoundingClientRect();
-        const scrollX = window.scrollX;
-        const scrollY = window.scrollY;
 
         // Content box (innermost)
         const style = window.getComputedStyle(el);
@@ -1200,22 +1298,22 @@ async function handleDOM(
         const borderLeft = parseFloat(style.borderLeftWidth);
 
         const content = {
-          x: rect.left + scrollX + borderLeft + paddingLeft,
-          y: rect.top + scrollY + borderTop + paddingTop,
+          x: rect.left + borderLeft + paddingLeft,
+          y: rect.top + borderTop + paddingTop,
           width: rect.width - borderLeft - borderRight - paddingLeft - paddingRight,
           height: rect.height - borderTop - borderBottom - paddingTop - paddingBottom,
         };
 
         const padding = {
-          x: rect.left + scrollX + borderLeft,
-          y: rect.top + scrollY + borderTop,
+          x: rect.left + borderLeft,
+          y: rect.top + borderTop,
           width: rect.width - borderLeft - borderRight,
           height: rect.height - borderTop - borderBottom,
         };
 
         const border = {
-          x: rect.left + scrollX,
-          y: rect.top + scrollY,
+          x: rect.left,
+          y: rect.top,
           width: rect.width,
           height: rect.height,
         };
@@ -1227,8 +1325,8 @@ async function handleDOM(
         const marginLeft = parseFloat(style.marginLeft);
 
         const margin = {
-          x: rect.left + scrollX - marginLeft,
-          y: rect.top + scrollY - marginTop,
+          x: rect.left - marginLeft,
+          y: rect.top - marginTop,
           width: rect.width + marginLeft + marginRight,
           height: rect.height + marginTop + marginBottom,
         };
@@ -1916,4 +2014,4 @@ function timingSafeEqual(a: string, b: string): boolean {
   return result === 0;
 }
 
-export { cdp };
+export { cdp, attachLifecycleEvents, startNavigation };
@@ -46,6 +46,14 @@ export interface MoltbotEnv {
   GOOGLE_CLIENT_ID?: string;
   GOOGLE_CLIENT_SECRET?: string;
   GOOGLE_REFRESH_TOKEN?: string;
+  GOOGLE_SERVICE_ACCOUNT_KEY?: string; // Service-account JSON key (or key file path); used instead of OAuth
+  GOOGLE_IMPERSONATE_USER?: string; // User the service account acts as (domain-wide delegation)
+  GOOGLE_SCOPES?: string; // Scopes the service account requests (default: what the enabled features need)
+  GMAIL_ALLOW_SEND?: string; // Set to 'true' to let the skill send, reply, forward and draft mail
+  GMAIL_ALLOW_TRASH?: string; // Set to 'true' to let the skill move mail to the trash
+  SHEETS_ALLOW_WRITE?: string; // Set to 'true' to let the skill write, append and clear sheet data
+  DRIVE_ALLOW_WRITE?: string; // Set to 'true' to let the skill upload, create folders and share files
+  GOOGLE_CALENDAR_TIMEZONE?: string; // IANA zone for "today"/"this week" (default: the calendar's own)
   // Browser Rendering binding for CDP shim
   BROWSER?: Fetcher;
   CDP_SECRET?: string; // Shared secret for CDP endpoint authentication
@@ -4,7 +4,7 @@ export default defineConfig({
   test: {
     globals: true,
     environment: 'node',
-    include: ['src/**/*.test.ts'],
+    include: ['src/**/*.test.ts', 'skills/**/*.test.js'],
     exclude: ['src/client/**'],
     coverage: {
       provider: 'v8',